@@ -0,0 +1,258 @@
+/**
+ * Chess Sound Definitions
+ *
+ * The built-in chess sounds as plain data. Each definition is a list of
+ * layers - tones that start at an offset (in seconds) from the sound's start.
+ *
+ * Layer fields:
+ * - waveform: 'sine', 'square', 'sawtooth' or 'triangle'
+ * - note or frequency: 'C#5' style note name, or Hertz
+ * - duration: seconds (hold time when an envelope is given)
+ * - volume: 0.0 to 1.0
+ * - offset: seconds after the sound starts
+ * - envelope: optional { attack, decay, sustain, release, curve }
+ * - pitchVariation: optional random detune range in cents (±)
+ *
+ * A layer can instead play a sample loaded into an AudioFileManager:
+ * - sample: name the buffer was loaded under
+ * - volume, offset, pitchVariation: as above
+ * - playbackRate: optional speed (1.0 = normal)
+ *
+ * Everything here is JSON-compatible, so the same shape can live in a .json
+ * file and be loaded with SoundManager.loadDefinitions(url).
+ */
+
+export const CHESS_SOUNDS = {
+  // Smooth, pleasant two-tone sequence
+  move: {
+    layers: [
+      { waveform: 'sine', note: 'A4', duration: 0.1, volume: 0.2, offset: 0 },
+      { waveform: 'sine', note: 'C5', duration: 0.08, volume: 0.15, offset: 0.05 }
+    ]
+  },
+
+  // Aggressive square wave
+  capture: {
+    layers: [
+      { waveform: 'square', note: 'E4', duration: 0.15, volume: 0.25, offset: 0 },
+      { waveform: 'square', note: 'A3', duration: 0.1, volume: 0.2, offset: 0.08 }
+    ]
+  },
+
+  // Urgent high-pitched alert
+  check: {
+    layers: [
+      { waveform: 'sawtooth', note: 'A5', duration: 0.1, volume: 0.2, offset: 0 },
+      { waveform: 'sawtooth', note: 'A5', duration: 0.1, volume: 0.15, offset: 0.15 }
+    ]
+  },
+
+  // C major arpeggio - ascending, triumphant
+  victory: {
+    layers: [
+      { waveform: 'sine', note: 'C5', duration: 0.2, volume: 0.25, offset: 0 },
+      { waveform: 'sine', note: 'E5', duration: 0.2, volume: 0.25, offset: 0.1 },
+      { waveform: 'sine', note: 'G5', duration: 0.2, volume: 0.25, offset: 0.2 },
+      { waveform: 'sine', note: 'C6', duration: 0.2, volume: 0.25, offset: 0.3 }
+    ]
+  },
+
+  // Descending line - falling, sad
+  defeat: {
+    layers: [
+      { waveform: 'sine', note: 'G4', duration: 0.25, volume: 0.2, offset: 0 },
+      { waveform: 'sine', note: 'F4', duration: 0.25, volume: 0.2, offset: 0.15 },
+      { waveform: 'sine', note: 'E4', duration: 0.25, volume: 0.2, offset: 0.3 },
+      { waveform: 'sine', note: 'C4', duration: 0.25, volume: 0.2, offset: 0.45 }
+    ]
+  },
+
+  // Two pieces moving at once - a double step, low then high
+  castle: {
+    layers: [
+      { waveform: 'sine', note: 'D4', duration: 0.08, volume: 0.2, offset: 0 },
+      { waveform: 'sine', note: 'G4', duration: 0.1, volume: 0.18, offset: 0.1 }
+    ]
+  },
+
+  // Quick rising flourish
+  promote: {
+    layers: [
+      { waveform: 'triangle', note: 'G4', duration: 0.08, volume: 0.2, offset: 0 },
+      { waveform: 'triangle', note: 'B4', duration: 0.08, volume: 0.2, offset: 0.06 },
+      { waveform: 'triangle', note: 'D5', duration: 0.08, volume: 0.2, offset: 0.12 },
+      { waveform: 'triangle', note: 'G5', duration: 0.2, volume: 0.22, offset: 0.18 }
+    ]
+  },
+
+  // Low, dull double buzz - "you can't do that"
+  illegal: {
+    layers: [
+      { waveform: 'sawtooth', note: 'C3', duration: 0.07, volume: 0.12, offset: 0 },
+      { waveform: 'sawtooth', note: 'C3', duration: 0.07, volume: 0.1, offset: 0.1 }
+    ]
+  }
+};
+
+/**
+ * Per-piece voicing
+ *
+ * Applied on top of the theme's move and capture sounds so a pawn push and
+ * a queen move are told apart: lighter pieces sit higher, heavier pieces
+ * lower and louder, and each adds its own overtones (ratio × the note's
+ * frequency) to change the timbre.
+ */
+export const PIECE_VOICES = {
+  pawn: { transpose: 0, volume: 0.8 },
+  knight: { transpose: 2, volume: 0.9, harmonics: [{ ratio: 1.5, volume: 0.35 }] },
+  bishop: { transpose: 4, volume: 0.9, harmonics: [{ ratio: 2, volume: 0.3 }] },
+  rook: { transpose: -5, volume: 1.1, harmonics: [{ ratio: 0.5, volume: 0.4 }] },
+  queen: {
+    transpose: -2,
+    volume: 1.2,
+    harmonics: [{ ratio: 2, volume: 0.3 }, { ratio: 3, volume: 0.15 }]
+  },
+  king: {
+    transpose: -7,
+    volume: 1.2,
+    harmonics: [{ ratio: 0.5, volume: 0.35 }, { ratio: 2, volume: 0.2 }]
+  }
+};
+
+// Hard-edged envelope for chiptune-style square waves
+const CHIP = { attack: 0, decay: 0, sustain: 1, release: 0.02 };
+
+// Soft, short envelope for the quiet theme
+const SOFT = { attack: 0.005, decay: 0.08, sustain: 0, release: 0.05, curve: 'exponential' };
+
+/**
+ * Built-in themes
+ *
+ * A theme maps each chess event ('move', 'capture', 'check', 'victory',
+ * 'defeat', 'castle', 'promote', 'illegal') to either the name of a
+ * definition or an inline definition. Events a theme leaves out fall back
+ * to 'classic'.
+ */
+export const CHESS_THEMES = {
+  // The original sounds
+  classic: {
+    move: 'move',
+    capture: 'capture',
+    check: 'check',
+    victory: 'victory',
+    defeat: 'defeat',
+    castle: 'castle',
+    promote: 'promote',
+    illegal: 'illegal'
+  },
+
+  // 8-bit console bleeps
+  retro: {
+    move: {
+      layers: [
+        { waveform: 'square', note: 'C6', duration: 0.04, volume: 0.12, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'G6', duration: 0.05, volume: 0.1, offset: 0.04, envelope: CHIP }
+      ]
+    },
+    capture: {
+      layers: [
+        { waveform: 'square', note: 'C5', duration: 0.05, volume: 0.15, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'G4', duration: 0.05, volume: 0.15, offset: 0.05, envelope: CHIP },
+        { waveform: 'square', note: 'C4', duration: 0.08, volume: 0.15, offset: 0.1, envelope: CHIP }
+      ]
+    },
+    check: {
+      layers: [
+        { waveform: 'square', note: 'A5', duration: 0.06, volume: 0.12, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'A5', duration: 0.06, volume: 0.12, offset: 0.08, envelope: CHIP },
+        { waveform: 'square', note: 'A5', duration: 0.06, volume: 0.12, offset: 0.16, envelope: CHIP }
+      ]
+    },
+    victory: {
+      layers: [
+        { waveform: 'square', note: 'C5', duration: 0.07, volume: 0.12, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'E5', duration: 0.07, volume: 0.12, offset: 0.08, envelope: CHIP },
+        { waveform: 'square', note: 'G5', duration: 0.07, volume: 0.12, offset: 0.16, envelope: CHIP },
+        { waveform: 'square', note: 'C6', duration: 0.3, volume: 0.12, offset: 0.24, envelope: CHIP }
+      ]
+    },
+    defeat: {
+      layers: [
+        { waveform: 'square', note: 'G4', duration: 0.1, volume: 0.12, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'F#4', duration: 0.1, volume: 0.12, offset: 0.12, envelope: CHIP },
+        { waveform: 'square', note: 'F4', duration: 0.1, volume: 0.12, offset: 0.24, envelope: CHIP },
+        { waveform: 'square', note: 'E4', duration: 0.35, volume: 0.12, offset: 0.36, envelope: CHIP }
+      ]
+    },
+    castle: {
+      layers: [
+        { waveform: 'square', note: 'G5', duration: 0.04, volume: 0.12, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'C6', duration: 0.04, volume: 0.12, offset: 0.06, envelope: CHIP },
+        { waveform: 'square', note: 'G5', duration: 0.04, volume: 0.1, offset: 0.12, envelope: CHIP }
+      ]
+    },
+    promote: {
+      layers: [
+        { waveform: 'square', note: 'C5', duration: 0.05, volume: 0.12, offset: 0, envelope: CHIP },
+        { waveform: 'square', note: 'G5', duration: 0.05, volume: 0.12, offset: 0.05, envelope: CHIP },
+        { waveform: 'square', note: 'C6', duration: 0.05, volume: 0.12, offset: 0.1, envelope: CHIP },
+        { waveform: 'square', note: 'G6', duration: 0.15, volume: 0.12, offset: 0.15, envelope: CHIP }
+      ]
+    },
+    illegal: {
+      layers: [
+        { waveform: 'square', note: 'C3', duration: 0.12, volume: 0.12, offset: 0, envelope: CHIP }
+      ]
+    }
+  },
+
+  // Quiet, unobtrusive clicks for long sessions
+  minimal: {
+    move: {
+      layers: [
+        { waveform: 'sine', note: 'E5', duration: 0.06, volume: 0.08, offset: 0, envelope: SOFT }
+      ]
+    },
+    capture: {
+      layers: [
+        { waveform: 'sine', note: 'B4', duration: 0.08, volume: 0.1, offset: 0, envelope: SOFT },
+        { waveform: 'sine', note: 'E4', duration: 0.08, volume: 0.08, offset: 0.05, envelope: SOFT }
+      ]
+    },
+    check: {
+      layers: [
+        { waveform: 'sine', note: 'A5', duration: 0.08, volume: 0.08, offset: 0, envelope: SOFT }
+      ]
+    },
+    victory: {
+      layers: [
+        { waveform: 'sine', note: 'C5', duration: 0.12, volume: 0.08, offset: 0, envelope: SOFT },
+        { waveform: 'sine', note: 'E5', duration: 0.12, volume: 0.08, offset: 0.08, envelope: SOFT },
+        { waveform: 'sine', note: 'G5', duration: 0.2, volume: 0.08, offset: 0.16, envelope: SOFT }
+      ]
+    },
+    defeat: {
+      layers: [
+        { waveform: 'sine', note: 'E4', duration: 0.15, volume: 0.08, offset: 0, envelope: SOFT },
+        { waveform: 'sine', note: 'C4', duration: 0.25, volume: 0.08, offset: 0.12, envelope: SOFT }
+      ]
+    },
+    castle: {
+      layers: [
+        { waveform: 'sine', note: 'D5', duration: 0.05, volume: 0.07, offset: 0, envelope: SOFT },
+        { waveform: 'sine', note: 'G5', duration: 0.05, volume: 0.07, offset: 0.07, envelope: SOFT }
+      ]
+    },
+    promote: {
+      layers: [
+        { waveform: 'sine', note: 'G5', duration: 0.06, volume: 0.08, offset: 0, envelope: SOFT },
+        { waveform: 'sine', note: 'D6', duration: 0.12, volume: 0.08, offset: 0.07, envelope: SOFT }
+      ]
+    },
+    illegal: {
+      layers: [
+        { waveform: 'sine', note: 'C4', duration: 0.06, volume: 0.08, offset: 0, envelope: SOFT }
+      ]
+    }
+  }
+};
@@ -6,14 +6,67 @@
  * - Oscillator-based sound synthesis
  * - Gain nodes for volume control
  * - ADSR envelope implementation
+ * - Sample-accurate sequencing against the audio clock
+ * - Declarative sound definitions and themes (see ChessSounds.js)
+ * - Stereo placement with StereoPannerNode
  * 
  * Based on the chess game sound system from the tutorial.
  */
 
+import { playSequence } from '../06-utilities/Scheduler.js';
+import {
+  DEFAULT_ENVELOPE,
+  scheduleAttack,
+  scheduleEnvelope,
+  scheduleRelease
+} from '../06-utilities/Envelope.js';
+import { noteToFrequency, toFrequency } from '../06-utilities/MusicTheory.js';
+import { CHESS_SOUNDS, CHESS_THEMES, PIECE_VOICES } from './ChessSounds.js';
+
+// Piece letters as used in algebraic notation
+const PIECE_LETTERS = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+// How far left/right the a- and h-files are placed (-1 to 1)
+const BOARD_STEREO_WIDTH = 0.8;
+
+/**
+ * Accept 'knight', 'N' or 'n' for a piece
+ */
+function normalizePiece(piece) {
+  if (!piece) return null;
+  const name = String(piece).toLowerCase();
+  return PIECE_LETTERS[name] ?? name;
+}
+
+/**
+ * Stereo position for a square, by file: a-file left, h-file right
+ */
+function squareToPan(square) {
+  if (!square) return undefined;
+  const file = String(square).toLowerCase().charCodeAt(0) - 97;
+  if (file < 0 || file > 7) return undefined;
+  return ((file / 7) * 2 - 1) * BOARD_STEREO_WIDTH;
+}
+
 export class SoundManager {
-  constructor() {
-    this.audioContext = null;
+  /**
+   * @param {BaseAudioContext} audioContext - Optional context to play into
+   *                                          (e.g. an OfflineAudioContext);
+   *                                          one is created lazily otherwise
+   */
+  constructor(audioContext = null) {
+    this.audioContext = audioContext;
+    // Only a context we created is ours to close
+    this.ownsContext = false;
+    this.output = null;
     this.enabled = true;
+    this.definitions = new Map();
+    this.themes = new Map();
+    this.themeName = 'classic';
+    this.fileManager = null;
+    
+    Object.entries(CHESS_SOUNDS).forEach(([name, spec]) => this.define(name, spec));
+    Object.entries(CHESS_THEMES).forEach(([name, theme]) => this.registerTheme(name, theme));
   }
 
   /**
@@ -23,10 +76,25 @@ export class SoundManager {
   getContext() {
     if (!this.audioContext) {
       this.audioContext = new AudioContext();
+      this.ownsContext = true;
     }
     return this.audioContext;
   }
 
+  /**
+   * Get or create the bus every synthesized sound plays through, on its
+   * way to the speakers - tap it to analyse or record the output.
+   * (Sample layers play through the AudioFileManager's own masterGain.)
+   */
+  getOutput() {
+    if (!this.output) {
+      const ctx = this.getContext();
+      this.output = ctx.createGain();
+      this.output.connect(ctx.destination);
+    }
+    return this.output;
+  }
+
   /**
    * Enable or disable all sounds
    */
@@ -37,65 +105,437 @@ export class SoundManager {
   /**
    * Play a simple tone with envelope
    * 
-   * @param {number} frequency - Pitch in Hertz (440 = A4)
+   * Without an envelope the tone starts instantly and decays exponentially
+   * over its duration. With one, `duration` is how long the note is held
+   * before its release begins.
+   * 
+   * @param {number|string} frequency - Pitch in Hertz (440 = A4), or a note name like 'C#5'
    * @param {number} duration - Length in seconds
    * @param {OscillatorType} type - Waveform: 'sine', 'square', 'sawtooth', 'triangle'
    * @param {number} volume - Amplitude from 0.0 to 1.0
+   * @param {Object} options
+   * @param {number} options.startTime - Audio time to start at (defaults to now)
+   * @param {Object} options.envelope - { attack, decay, sustain, release, curve }
+   * @param {number} options.pan - Stereo position from -1 (left) to 1 (right)
+   * @returns {OscillatorNode|null} - The oscillator (for stopping early)
    */
-  playTone(frequency, duration, type = 'sine', volume = 0.3) {
-    if (!this.enabled) return;
+  playTone(frequency, duration, type = 'sine', volume = 0.3, options = {}) {
+    if (!this.enabled) return null;
     
     try {
       const ctx = this.getContext();
+      const startTime = options.startTime ?? ctx.currentTime;
       const oscillator = ctx.createOscillator();
       const gainNode = ctx.createGain();
       
-      // Connect audio graph: oscillator → gain → destination (speakers)
+      // Connect audio graph: oscillator → gain → output bus → speakers
       oscillator.connect(gainNode);
-      gainNode.connect(ctx.destination);
+      
+      if (options.pan !== undefined && ctx.createStereoPanner) {
+        // Optional stereo placement: gain → panner → output bus
+        const panner = ctx.createStereoPanner();
+        panner.pan.setValueAtTime(options.pan, startTime);
+        gainNode.connect(panner);
+        panner.connect(this.getOutput());
+      } else {
+        gainNode.connect(this.getOutput());
+      }
       
       // Set oscillator properties
       oscillator.type = type;
-      oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+      oscillator.frequency.setValueAtTime(toFrequency(frequency), startTime);
       
-      // Create amplitude envelope (Attack=instant, Release=exponential)
-      gainNode.gain.setValueAtTime(volume, ctx.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(
-        0.01, // Can't ramp to 0 exponentially
-        ctx.currentTime + duration
-      );
+      let stopTime = startTime + duration;
+      if (options.envelope) {
+        // Full ADSR: hold for `duration`, then release
+        stopTime = scheduleEnvelope(gainNode.gain, options.envelope, volume, startTime, duration);
+      } else {
+        // Create amplitude envelope (Attack=instant, Release=exponential)
+        gainNode.gain.setValueAtTime(volume, startTime);
+        gainNode.gain.exponentialRampToValueAtTime(
+          0.01, // Can't ramp to 0 exponentially
+          stopTime
+        );
+      }
       
       // Schedule start and stop
-      oscillator.start(ctx.currentTime);
-      oscillator.stop(ctx.currentTime + duration);
+      oscillator.start(startTime);
+      oscillator.stop(stopTime);
+      return oscillator;
     } catch (error) {
       // Audio not available - fail silently
       console.warn('Audio playback failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Start a sustained note whose length isn't known up front
+   * (charging shots, held keys). Release it with noteOff().
+   * 
+   * @param {number|string} frequency - Pitch in Hertz, or a note name
+   * @param {Object} options
+   * @param {OscillatorType} options.type - Waveform
+   * @param {number} options.volume - Peak amplitude from 0.0 to 1.0
+   * @param {Object} options.envelope - { attack, decay, sustain, release, curve }
+   * @returns {Object|null} - Handle to pass to noteOff()
+   */
+  noteOn(frequency, { type = 'sine', volume = 0.3, envelope = DEFAULT_ENVELOPE } = {}) {
+    if (!this.enabled) return null;
+    
+    try {
+      const ctx = this.getContext();
+      const startTime = ctx.currentTime;
+      const oscillator = ctx.createOscillator();
+      const gainNode = ctx.createGain();
+      
+      oscillator.connect(gainNode);
+      gainNode.connect(this.getOutput());
+      
+      oscillator.type = type;
+      oscillator.frequency.setValueAtTime(toFrequency(frequency), startTime);
+      
+      // Attack and decay, then hold at the sustain level until noteOff()
+      scheduleAttack(gainNode.gain, envelope, volume, startTime);
+      
+      oscillator.start(startTime);
+      return { oscillator, gainNode, envelope, volume, startTime, released: false };
+    } catch (error) {
+      console.warn('Audio playback failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Release a note started with noteOn()
+   * 
+   * The release ramps down from wherever the envelope currently is, so
+   * cutting a note off mid-attack doesn't click.
+   * 
+   * @param {Object} handle - Handle returned by noteOn()
+   */
+  noteOff(handle) {
+    if (!handle || handle.released) return;
+    handle.released = true;
+    
+    const { oscillator, gainNode, envelope, volume, startTime } = handle;
+    const releaseTime = Math.max(this.getContext().currentTime, startTime);
+    const stopTime = scheduleRelease(gainNode.gain, envelope, volume, startTime, releaseTime);
+    
+    oscillator.stop(stopTime);
+    oscillator.onended = () => {
+      oscillator.disconnect();
+      gainNode.disconnect();
+    };
+  }
+
+  /**
+   * Play a list of notes, timed by the audio clock
+   * 
+   * Every note is scheduled against AudioContext.currentTime, so melodies
+   * stay in time even when the main thread is busy.
+   * 
+   * @param {Array<Object>} notes - { time, frequency, duration, type, volume },
+   *                                with `time` as an offset in seconds and
+   *                                `frequency` in Hertz or a note name
+   * @returns {Sequence|null} - Handle for cancelling the whole sequence
+   */
+  playSequence(notes) {
+    if (!this.enabled) return null;
+    
+    return playSequence(this.getContext(), notes, (note, startTime) => {
+      if (note.sample !== undefined) {
+        return this.playSample(note, startTime);
+      }
+      return this.playTone(note.frequency, note.duration, note.type, note.volume, {
+        startTime,
+        envelope: note.envelope,
+        pan: note.pan
+      });
+    });
+  }
+
+  /**
+   * Use an AudioFileManager for definitions with sample layers
+   * 
+   * @param {AudioFileManager} fileManager - Manager holding the loaded buffers
+   */
+  setFileManager(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Play a sample layer at an audio time on this manager's clock
+   */
+  playSample(note, startTime) {
+    if (!this.fileManager) {
+      console.warn(`Sample "${note.sample}" needs an AudioFileManager (see setFileManager)`);
+      return null;
+    }
+    
+    // The file manager may run its own AudioContext, so convert to its clock
+    const delay = Math.max(0, startTime - this.getContext().currentTime);
+    return this.fileManager.playSound(
+      note.sample,
+      note.volume,
+      note.playbackRate,
+      note.detune,
+      this.fileManager.context.currentTime + delay,
+      note.pan
+    );
+  }
+
+  /**
+   * Register a sound definition
+   * 
+   * @param {string} name - Identifier for this sound
+   * @param {Object} spec - { layers: [...] } - see ChessSounds.js for the format
+   */
+  define(name, spec) {
+    if (!spec || !Array.isArray(spec.layers) || spec.layers.length === 0) {
+      throw new Error(`Sound "${name}" needs at least one layer`);
     }
+    
+    spec.layers.forEach((layer, i) => {
+      if (layer.sample !== undefined) {
+        return; // Sample layers only need a buffer name
+      }
+      if (layer.note === undefined && typeof layer.frequency !== 'number') {
+        throw new Error(`Sound "${name}" layer ${i} needs a note, frequency or sample`);
+      }
+      if (layer.note !== undefined) {
+        noteToFrequency(layer.note); // Throws on bad note names
+      }
+      if (!(layer.duration > 0)) {
+        throw new Error(`Sound "${name}" layer ${i} needs a positive duration`);
+      }
+    });
+    
+    // Store a copy so later edits to the caller's object don't leak in
+    this.definitions.set(name, JSON.parse(JSON.stringify(spec)));
+  }
+
+  /**
+   * Register many definitions at once
+   * 
+   * @param {Object|string} definitions - Object mapping names to specs,
+   *                                      or the URL of a JSON file of that shape
+   * @returns {Promise<string[]>} - Names that were defined
+   */
+  async loadDefinitions(definitions) {
+    if (typeof definitions === 'string') {
+      const response = await fetch(definitions);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      definitions = await response.json();
+    }
+    
+    Object.entries(definitions).forEach(([name, spec]) => this.define(name, spec));
+    return Object.keys(definitions);
+  }
+
+  /**
+   * Check if a sound is defined
+   */
+  isDefined(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Play a defined sound
+   * 
+   * @param {string} name - Name of the sound to play
+   * @param {Object} overrides - Adjustments for this play only
+   * @param {number} overrides.volume - Multiplier applied to every layer
+   * @param {number} overrides.transpose - Pitch shift in semitones
+   * @param {OscillatorType} overrides.waveform - Replaces every layer's waveform
+   * @param {Object} overrides.envelope - Replaces every layer's envelope
+   * @param {number} overrides.pitchVariation - Replaces every layer's variation (cents)
+   * @param {number} overrides.pan - Stereo position of every layer (-1 to 1)
+   * @param {Array<Object>} overrides.harmonics - Extra { ratio, volume } overtones
+   *                                              added to every tone layer
+   * @returns {Sequence|null} - Handle for cancelling the sound
+   */
+  play(name, overrides = {}) {
+    const spec = this.definitions.get(name);
+    if (!spec) {
+      console.warn(`Sound "${name}" not defined`);
+      return null;
+    }
+    
+    const { volume = 1, transpose = 0, pan, harmonics = [], ...layerOverrides } = overrides;
+    
+    const notes = spec.layers.flatMap(original => {
+      const layer = { ...original, ...layerOverrides };
+      
+      // Random variation keeps repeated sounds from feeling mechanical
+      const cents = transpose * 100 + (Math.random() * 2 - 1) * (layer.pitchVariation || 0);
+      
+      if (layer.sample !== undefined) {
+        return {
+          time: layer.offset || 0,
+          sample: layer.sample,
+          volume: (layer.volume ?? 1) * volume,
+          playbackRate: layer.playbackRate ?? 1,
+          detune: cents,
+          pan
+        };
+      }
+      
+      const baseFrequency = layer.note !== undefined ? noteToFrequency(layer.note) : layer.frequency;
+      const tone = {
+        time: layer.offset || 0,
+        frequency: baseFrequency * Math.pow(2, cents / 1200),
+        duration: layer.duration,
+        type: layer.waveform || 'sine',
+        volume: (layer.volume ?? 0.3) * volume,
+        envelope: layer.envelope,
+        pan
+      };
+      
+      return [tone, ...harmonics.map(harmonic => ({
+        ...tone,
+        frequency: tone.frequency * harmonic.ratio,
+        volume: tone.volume * harmonic.volume
+      }))];
+    });
+    
+    return this.playSequence(notes);
+  }
+
+  /**
+   * Register a theme
+   * 
+   * @param {string} name - Identifier for this theme
+   * @param {Object} theme - Maps events ('move', 'capture', 'check', 'victory',
+   *                         'defeat', 'castle', 'promote', 'illegal') to
+   *                         definition names or inline definitions
+   */
+  registerTheme(name, theme) {
+    const events = {};
+    
+    Object.entries(theme).forEach(([event, sound]) => {
+      if (typeof sound === 'string') {
+        events[event] = sound;
+      } else {
+        // Inline definitions are registered under "theme.event"
+        events[event] = `${name}.${event}`;
+        this.define(events[event], sound);
+      }
+    });
+    
+    this.themes.set(name, events);
+  }
+
+  /**
+   * Switch the active theme
+   * 
+   * @param {string} name - Name of a registered theme
+   * @returns {boolean} - Whether the theme exists
+   */
+  setTheme(name) {
+    if (!this.themes.has(name)) {
+      console.warn(`Theme "${name}" not registered`);
+      return false;
+    }
+    
+    this.themeName = name;
+    return true;
+  }
+
+  /**
+   * Get the name of the active theme
+   */
+  getTheme() {
+    return this.themeName;
+  }
+
+  /**
+   * Get list of all registered themes
+   */
+  getThemes() {
+    return Array.from(this.themes.keys());
+  }
+
+  /**
+   * Play a chess event through the active theme
+   * 
+   * @param {string} event - 'move', 'capture', 'check', 'victory', 'defeat',
+   *                         'castle', 'promote' or 'illegal'
+   * @param {Object} overrides - Passed through to play()
+   * @returns {Sequence|null} - Handle for cancelling the sound
+   */
+  playEvent(event, overrides = {}) {
+    const theme = this.themes.get(this.themeName);
+    const soundName = theme[event] ?? this.themes.get('classic')[event];
+    
+    if (!soundName) {
+      console.warn(`No sound for "${event}" in theme "${this.themeName}"`);
+      return null;
+    }
+    return this.play(soundName, overrides);
+  }
+
+  /**
+   * Play a move or capture, shaped by what moved where
+   * 
+   * Castling and promotion get their own sounds; otherwise the piece sets
+   * the voicing. Either way the sound is panned to the destination file.
+   */
+  playMoveEvent(event, move) {
+    const pan = squareToPan(move.to);
+    
+    if (move.castling) {
+      return this.playEvent('castle', { pan });
+    }
+    if (move.promotion) {
+      return this.playEvent('promote', { ...PIECE_VOICES[normalizePiece(move.promotion)], pan });
+    }
+    
+    // En passant is always a pawn taking a pawn
+    const piece = move.enPassant ? 'pawn' : normalizePiece(move.piece);
+    return this.playEvent(event, { ...PIECE_VOICES[piece], pan });
   }
 
   /**
    * Chess piece move - smooth, pleasant two-tone sequence
+   * 
+   * @param {Object} move - Optional move context
+   * @param {string} move.piece - 'pawn', 'knight', ... or a letter ('N', 'q')
+   * @param {string} move.from - Origin square, e.g. 'e2'
+   * @param {string} move.to - Destination square, e.g. 'e4' (sets stereo position)
+   * @param {boolean} move.castling - Plays the castling sound
+   * @param {string} move.promotion - Piece promoted to; plays the promotion sound
+   * @param {boolean} move.enPassant - En passant capture
    */
-  playMove() {
-    this.playTone(440, 0.1, 'sine', 0.2);  // A4
-    setTimeout(() => this.playTone(523, 0.08, 'sine', 0.15), 50);  // C5
+  playMove(move = {}) {
+    return this.playMoveEvent('move', move);
   }
 
   /**
    * Chess piece capture - aggressive square wave
+   * 
+   * @param {Object} move - Optional move context (see playMove)
    */
-  playCapture() {
-    this.playTone(330, 0.15, 'square', 0.25);  // E4
-    setTimeout(() => this.playTone(220, 0.1, 'square', 0.2), 80);  // A3
+  playCapture(move = {}) {
+    return this.playMoveEvent('capture', move);
+  }
+
+  /**
+   * Illegal move attempt - low, dull buzz
+   * 
+   * @param {Object} move - Optional move context (see playMove)
+   */
+  playIllegal(move = {}) {
+    return this.playEvent('illegal', { pan: squareToPan(move.to) });
   }
 
   /**
    * Check warning - urgent high-pitched alert
    */
   playCheck() {
-    this.playTone(880, 0.1, 'sawtooth', 0.2);  // A5
-    setTimeout(() => this.playTone(880, 0.1, 'sawtooth', 0.15), 150);  // A5 (repeat)
+    return this.playEvent('check');
   }
 
   /**
@@ -104,26 +544,23 @@ export class SoundManager {
    * @param {boolean} isVictory - True for victory melody, false for defeat
    */
   playGameEnd(isVictory) {
-    if (isVictory) {
-      // C major arpeggio - ascending, triumphant
-      [523, 659, 784, 1047].forEach((freq, i) => {
-        setTimeout(() => this.playTone(freq, 0.2, 'sine', 0.25), i * 100);
-      });
-    } else {
-      // Descending chromatic scale - falling, sad
-      [392, 349, 330, 262].forEach((freq, i) => {
-        setTimeout(() => this.playTone(freq, 0.25, 'sine', 0.2), i * 150);
-      });
-    }
+    return this.playEvent(isVictory ? 'victory' : 'defeat');
   }
 
   /**
    * Clean up resources
+   *
+   * A context passed to the constructor is left open for its owner (an
+   * OfflineAudioContext can't be closed at all).
    */
   dispose() {
     if (this.audioContext) {
-      this.audioContext.close();
+      if (this.ownsContext) {
+        this.audioContext.close();
+      }
       this.audioContext = null;
+      this.ownsContext = false;
+      this.output = null;
     }
   }
 }
@@ -0,0 +1,280 @@
+import { LookaheadClock } from '../06-utilities/Scheduler.js';
+import { chord, toFrequency, transpose } from '../06-utilities/MusicTheory.js';
+
+// Adaptive, procedurally generated background music for Breakout.
+//
+// A four-bar loop in A minor built from layers that fade in and out with
+// the state of the game: the base pad always plays, drums, bass and an
+// arpeggio join as bricks are cleared and the ball speeds up, and a
+// dissonant tension pulse appears when the player is down to one life.
+
+const STEPS_PER_BAR = 16;
+
+// Am - F - C - G, one chord per bar: a bass root and the chord voiced
+// above it (C in second inversion, to stay close to the others)
+const PROGRESSION = [
+    { root: 'A2', chord: chord('A3', 'minor') },
+    { root: 'F2', chord: chord('F3', 'major') },
+    { root: 'C3', chord: chord('C3', 'major', { inversion: 2 }) },
+    { root: 'G2', chord: chord('G3', 'major') }
+];
+
+// Intensity (0-1) at which each layer fades in
+const LAYER_THRESHOLDS = {
+    base: 0,
+    drums: 0.25,
+    bass: 0.5,
+    arpeggio: 0.75
+};
+
+const LAYER_VOLUMES = {
+    base: 1,
+    drums: 0.9,
+    bass: 0.8,
+    arpeggio: 0.6,
+    tension: 0.7
+};
+
+export class AdaptiveMusic {
+    constructor(context, output, { tempo = 110 } = {}) {
+        this.context = context;
+        this.output = output;
+        this.tempo = tempo;
+        this.clock = new LookaheadClock(context);
+        this.layers = {};
+        this.noiseBuffer = null;
+        this.startTime = 0;
+        this.nextStepTime = 0;
+        this.step = 0;
+        this.playing = false;
+        this.ducking = null;
+
+        // Bus for all layers, used to duck the music under stingers
+        this.bus = context.createGain();
+        this.bus.connect(output);
+
+        Object.keys(LAYER_VOLUMES).forEach(name => {
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            gain.connect(this.bus);
+            this.layers[name] = { gain, active: false, silentAfter: 0 };
+        });
+    }
+
+    get stepDuration() {
+        return 60 / this.tempo / 4;
+    }
+
+    get beatDuration() {
+        return 60 / this.tempo;
+    }
+
+    start() {
+        if (this.playing) return;
+
+        const now = this.context.currentTime;
+        this.playing = true;
+        this.step = 0;
+        this.startTime = now + 0.05;
+        this.nextStepTime = this.startTime;
+        this.bus.gain.cancelScheduledValues(now);
+        this.bus.gain.setValueAtTime(1, now);
+
+        this.update({ progress: 0, speed: 0, lives: 3 });
+        this.clock.start(until => this.scheduleUntil(until));
+    }
+
+    stop(fadeTime = 1.5, when = this.context.currentTime) {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.holdBusAt(when);
+        this.bus.gain.linearRampToValueAtTime(0, when + fadeTime);
+
+        // Keep feeding notes until the fade has finished
+        const stopAt = when + fadeTime;
+        this.clock.start(until => {
+            if (this.context.currentTime >= stopAt) return false;
+            return this.scheduleUntil(Math.min(until, stopAt));
+        });
+    }
+
+    // Fade layers in or out from the current game state:
+    // progress - fraction of bricks cleared (0-1)
+    // speed - how far the ball has sped up (0-1)
+    // lives - lives remaining
+    update({ progress = 0, speed = 0, lives = 3 }) {
+        const intensity = Math.max(progress, speed);
+
+        Object.entries(LAYER_THRESHOLDS).forEach(([name, threshold]) => {
+            this.setLayer(name, intensity >= threshold);
+        });
+        this.setLayer('tension', lives === 1);
+    }
+
+    setLayer(name, active, fadeTime = 2) {
+        const layer = this.layers[name];
+        if (layer.active === active) return;
+
+        const now = this.context.currentTime;
+        layer.active = active;
+        layer.gain.gain.cancelScheduledValues(now);
+        layer.gain.gain.setValueAtTime(layer.gain.gain.value, now);
+        layer.gain.gain.linearRampToValueAtTime(active ? LAYER_VOLUMES[name] : 0, now + fadeTime);
+        layer.silentAfter = active ? Infinity : now + fadeTime;
+    }
+
+    // Audio time of the next beat, for starting stingers in time
+    nextBeatTime(margin = 0.05) {
+        const earliest = this.context.currentTime + margin;
+        if (!this.playing) return earliest;
+
+        const beats = Math.ceil((earliest - this.startTime) / this.beatDuration);
+        return this.startTime + Math.max(0, beats) * this.beatDuration;
+    }
+
+    // Pull the music back while a stinger plays over it
+    duck(when, duration, amount = 0.6) {
+        const gain = this.bus.gain;
+        gain.setValueAtTime(1, when);
+        gain.linearRampToValueAtTime(1 - amount, when + 0.05);
+        gain.setValueAtTime(1 - amount, when + duration);
+        gain.linearRampToValueAtTime(1, when + duration + 0.3);
+        this.ducking = { start: when, end: when + duration, level: 1 - amount };
+    }
+
+    // Drop any bus automation after `time`, holding the level it would have
+    // had then (e.g. still ducked under a stinger), so a fade can start there
+    holdBusAt(time) {
+        const gain = this.bus.gain;
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(time);
+            return;
+        }
+
+        const duck = this.ducking;
+        const ducked = duck && time >= duck.start && time <= duck.end;
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(ducked ? duck.level : gain.value, time);
+    }
+
+    scheduleUntil(until) {
+        while (this.nextStepTime < until) {
+            this.scheduleStep(this.step, this.nextStepTime);
+            this.nextStepTime += this.stepDuration;
+            this.step++;
+        }
+        return true;
+    }
+
+    isAudible(name, time) {
+        return time < this.layers[name].silentAfter;
+    }
+
+    scheduleStep(step, time) {
+        const bar = Math.floor(step / STEPS_PER_BAR) % PROGRESSION.length;
+        const position = step % STEPS_PER_BAR;
+        const { root, chord } = PROGRESSION[bar];
+        const half = this.stepDuration * 8;
+
+        if (this.isAudible('base', time) && position % 8 === 0) {
+            chord.forEach(note => {
+                this.tone('base', toFrequency(note), time, half, 'triangle', 0.05, 0.08);
+            });
+        }
+
+        if (this.isAudible('drums', time)) {
+            if (position === 0 || position === 8 || position === 10) this.kick(time);
+            if (position === 4 || position === 12) this.noise('drums', time, 0.12, 'bandpass', 1800, 0.25);
+            if (position % 2 === 0) this.noise('drums', time, 0.03, 'highpass', 7000, 0.08);
+        }
+
+        if (this.isAudible('bass', time) && position % 2 === 0) {
+            const note = position % 4 === 2 ? transpose(root, 12) : root;
+            this.tone('bass', toFrequency(note), time, this.stepDuration * 1.8, 'sawtooth', 0.12, 0.005, 700);
+        }
+
+        if (this.isAudible('arpeggio', time)) {
+            const note = transpose(chord[position % chord.length], 12);
+            this.tone('arpeggio', toFrequency(note), time, this.stepDuration * 0.9, 'square', 0.03, 0.005);
+        }
+
+        if (this.isAudible('tension', time) && position % 4 === 0) {
+            this.tone('tension', toFrequency('E6'), time, this.stepDuration * 2, 'triangle', 0.04, 0.01);
+            this.tone('tension', toFrequency('F6'), time, this.stepDuration * 2, 'triangle', 0.03, 0.01);
+        }
+    }
+
+    tone(layer, frequency, time, duration, type, volume, attack, cutoff) {
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        osc.type = type;
+        osc.frequency.setValueAtTime(frequency, time);
+
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        if (cutoff) {
+            const filter = this.context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(cutoff, time);
+            osc.connect(filter);
+            filter.connect(gain);
+        } else {
+            osc.connect(gain);
+        }
+        gain.connect(this.layers[layer].gain);
+
+        osc.start(time);
+        osc.stop(time + duration);
+        osc.onended = () => gain.disconnect();
+    }
+
+    kick(time) {
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        osc.frequency.setValueAtTime(150, time);
+        osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+        gain.gain.setValueAtTime(0.5, time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.25);
+
+        osc.connect(gain);
+        gain.connect(this.layers.drums.gain);
+        osc.start(time);
+        osc.stop(time + 0.25);
+        osc.onended = () => gain.disconnect();
+    }
+
+    noise(layer, time, duration, filterType, frequency, volume) {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+
+        source.buffer = this.noiseBuffer;
+        filter.type = filterType;
+        filter.frequency.setValueAtTime(frequency, time);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.layers[layer].gain);
+
+        // Random offset so repeated hits don't sound identical
+        source.start(time, Math.random() * 0.5);
+        source.stop(time + duration);
+        source.onended = () => gain.disconnect();
+    }
+}
@@ -0,0 +1,67 @@
+// Session recording for Breakout.
+//
+// A recording holds everything needed to play a session back exactly:
+// - the random seed and game options the session started with
+// - every input (keys, mouse), tagged with the frame it arrived before
+// - every sound the game triggered, with its frame, its audio time (seconds
+//   from the start of the recording) and the arguments it was played with
+//
+// The game is deterministic for a given seed and inputs, so feeding the
+// inputs back in reproduces the session - and its sounds - frame for frame.
+// The sound log on its own is enough to render the session's audio offline.
+//
+// Recordings are plain JSON, so they can be attached to a bug report.
+
+export const RECORDING_VERSION = 1;
+
+export class BreakoutRecorder {
+    constructor({ seed, options = {}, field, startTime = 0 }) {
+        this.seed = seed;
+        this.options = options;
+        this.field = field;
+        this.startTime = startTime;
+        this.inputs = [];
+        this.events = [];
+    }
+
+    input(frame, input) {
+        this.inputs.push({ frame, ...input });
+    }
+
+    event(frame, time, name, args) {
+        // JSON turns undefined into null, which would defeat the sounds'
+        // default arguments on playback - so leave trailing ones off
+        let length = args.length;
+        while (length > 0 && args[length - 1] === undefined) length--;
+        this.events.push({ frame, time: Math.max(0, time - this.startTime), name, args: args.slice(0, length) });
+    }
+
+    finish(frames) {
+        return {
+            version: RECORDING_VERSION,
+            seed: this.seed,
+            options: this.options,
+            field: this.field,
+            frames,
+            inputs: this.inputs,
+            events: this.events
+        };
+    }
+}
+
+// Accepts a recording object or its JSON text
+export function parseRecording(data) {
+    const recording = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!recording || recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version: ${recording && recording.version}`);
+    }
+    if (!Number.isInteger(recording.seed) || !Array.isArray(recording.inputs) || !Array.isArray(recording.events)) {
+        throw new Error('Recording is missing its seed, inputs or events');
+    }
+    // Replays read the game options (combo scale and so on) from here
+    if (!recording.options || typeof recording.options !== 'object' || Array.isArray(recording.options)) {
+        throw new Error('Recording is missing its options');
+    }
+    return recording;
+}
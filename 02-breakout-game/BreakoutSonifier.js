@@ -0,0 +1,161 @@
+// Audio-only play mode for Breakout.
+//
+// Turns the positions on the playfield into sound so the game can be
+// played without seeing it:
+// - A continuous tone follows the ball's horizontal offset from the paddle.
+//   It sits at the reference pitch when the ball is right above the paddle,
+//   rises as the ball moves to the right of it and falls to the left, and
+//   pans the same way.
+// - Ticks encode the ball's height. While the ball is falling they get
+//   faster and higher as it nears the paddle; while it rises they are
+//   slow, quiet and high.
+// - announceColumns() sweeps left to right across the brick columns,
+//   one note per column, higher for more bricks remaining.
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+export class BreakoutSonifier {
+    constructor(context, output, { referencePitch = 440, fieldWidth = 600 } = {}) {
+        this.context = context;
+        this.output = output;
+        this.referencePitch = referencePitch;
+        this.fieldWidth = fieldWidth;
+        this.toneLevel = 0.12;
+        this.osc = null;
+        this.toneGain = null;
+        this.panner = null;
+        this.nextTickTime = 0;
+    }
+
+    start() {
+        if (this.osc) return;
+
+        const now = this.context.currentTime;
+        this.osc = this.context.createOscillator();
+        this.toneGain = this.context.createGain();
+        this.panner = this.context.createStereoPanner();
+
+        this.osc.type = 'triangle';
+        this.osc.frequency.setValueAtTime(this.referencePitch, now);
+        this.toneGain.gain.setValueAtTime(0, now);
+
+        this.osc.connect(this.toneGain);
+        this.toneGain.connect(this.panner);
+        this.panner.connect(this.output);
+        this.osc.start(now);
+    }
+
+    stop() {
+        if (!this.osc) return;
+
+        const now = this.context.currentTime;
+        const { osc, toneGain, panner } = this;
+        toneGain.gain.setTargetAtTime(0, now, 0.05);
+        osc.stop(now + 0.3);
+        osc.onended = () => {
+            osc.disconnect();
+            toneGain.disconnect();
+            panner.disconnect();
+        };
+
+        this.osc = null;
+    }
+
+    // Fade the tracking tone out while the game is paused
+    silence() {
+        if (!this.osc) return;
+        this.toneGain.gain.setTargetAtTime(0, this.context.currentTime, 0.05);
+    }
+
+    update({ ballX, ballY, ballDy, paddleX, paddleY, paddleWidth }) {
+        if (!this.osc) return;
+
+        const now = this.context.currentTime;
+        const paddleCenter = paddleX + paddleWidth / 2;
+        const offset = clamp((ballX - paddleCenter) / (this.fieldWidth / 2), -1, 1);
+
+        // One octave either side of the reference pitch
+        this.osc.frequency.setTargetAtTime(this.referencePitch * Math.pow(2, offset), now, 0.03);
+        this.panner.pan.setTargetAtTime(offset, now, 0.03);
+        this.toneGain.gain.setTargetAtTime(this.toneLevel, now, 0.05);
+
+        // 0 at the paddle, 1 at the top of the field
+        const height = clamp((paddleY - ballY) / paddleY, 0, 1);
+        const descending = ballDy > 0;
+
+        if (now >= this.nextTickTime) {
+            const pan = clamp((ballX / this.fieldWidth) * 2 - 1, -1, 1);
+            if (descending) {
+                this.tick(now, 300 + (1 - height) * 600, 0.15, pan);
+                this.nextTickTime = now + 0.06 + height * 0.44;
+            } else {
+                this.tick(now, 1200, 0.05, pan);
+                this.nextTickTime = now + 0.5;
+            }
+        }
+    }
+
+    tick(time, frequency, volume, pan) {
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+        const panner = this.context.createStereoPanner();
+
+        osc.frequency.setValueAtTime(frequency, time);
+        panner.pan.setValueAtTime(pan, time);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
+
+        osc.connect(gain);
+        gain.connect(panner);
+        panner.connect(this.output);
+        osc.start(time);
+        osc.stop(time + 0.03);
+        osc.onended = () => {
+            gain.disconnect();
+            panner.disconnect();
+        };
+    }
+
+    // counts: bricks remaining in each column, left to right
+    announceColumns(counts, maxCount) {
+        const start = this.context.currentTime + 0.05;
+
+        counts.forEach((count, col) => {
+            const time = start + col * 0.15;
+            const pan = counts.length > 1 ? (col / (counts.length - 1)) * 2 - 1 : 0;
+
+            if (count > 0) {
+                // Whole-tone steps up from C4 for each brick left
+                const frequency = 262 * Math.pow(2, (count * 2) / 12);
+                this.note(time, frequency, 0.12, 'square', 0.12 + 0.08 * (count / maxCount), pan);
+            } else {
+                // Empty column: a dull, quiet thud
+                this.note(time, 110, 0.06, 'sine', 0.05, pan);
+            }
+        });
+    }
+
+    note(time, frequency, duration, type, volume, pan) {
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+        const panner = this.context.createStereoPanner();
+
+        osc.type = type;
+        osc.frequency.setValueAtTime(frequency, time);
+        panner.pan.setValueAtTime(pan, time);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        osc.connect(gain);
+        gain.connect(panner);
+        panner.connect(this.output);
+        osc.start(time);
+        osc.stop(time + duration);
+        osc.onended = () => {
+            gain.disconnect();
+            panner.disconnect();
+        };
+    }
+}
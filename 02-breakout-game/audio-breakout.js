@@ -1,8 +1,88 @@
-class BreakoutAudioEngine {
-    constructor() {
-        this.context = null;
+import { playSequence } from '../06-utilities/Scheduler.js';
+import { AdaptiveMusic } from './BreakoutMusic.js';
+import { BreakoutSonifier } from './BreakoutSonifier.js';
+import { BreakoutRecorder, parseRecording } from './BreakoutRecorder.js';
+import { ThrottledSound } from '../06-utilities/AudioUtilities.js';
+import { SeededRandom, randomSeed } from '../06-utilities/SeededRandom.js';
+import { renderOffline, downloadWav } from '../06-utilities/OfflineRenderer.js';
+import { SCALES, chord, scaleNote, toFrequency, transpose } from '../06-utilities/MusicTheory.js';
+
+// Scales the combo pitch walk can climb
+export const COMBO_SCALES = {
+    majorPentatonic: SCALES.majorPentatonic,
+    minorPentatonic: SCALES.minorPentatonic,
+    major: SCALES.major,
+    minor: SCALES.minor,
+    blues: SCALES.blues
+};
+
+export class BreakoutAudioEngine {
+    constructor(context = null) {
+        this.context = context;
         this.enabled = true;
         this.masterVolume = 0.7;
+        this.musicVolume = 0.5;
+        this.musicBus = null;
+        this.music = null;
+        this.sonifierBus = null;
+        this.sonifier = null;
+        this.fieldWidth = 600;
+        this.fieldHeight = 600;
+        this.stereoWidth = 0.9;
+        this.comboScale = COMBO_SCALES.majorPentatonic;
+        this.comboRoot = 'G4';
+        this.comboMaxOctaves = 2;
+        this.impactSpeeds = { soft: 3, hard: 9 };
+        this.random = Math.random;
+        this.eventTime = null;
+    }
+
+    setComboScale(scale) {
+        this.comboScale = Array.isArray(scale) ? scale : COMBO_SCALES[scale];
+        if (!this.comboScale) {
+            console.warn(`Unknown combo scale "${scale}"`);
+            this.comboScale = COMBO_SCALES.majorPentatonic;
+        }
+    }
+
+    // Pitch of the nth step up the combo scale, holding at the top
+    comboPitch(step) {
+        const capped = Math.min(step, this.comboScale.length * this.comboMaxOctaves);
+        return toFrequency(scaleNote(this.comboRoot, this.comboScale, capped));
+    }
+
+    setFieldSize(width, height) {
+        this.fieldWidth = width;
+        this.fieldHeight = height;
+    }
+
+    // Maps a point on the playfield to stereo position and distance:
+    // left/right edges pan hard, sounds near the top are slightly quieter.
+    // (Missing values may arrive as null from a recording's JSON.)
+    position(x, y) {
+        if (typeof x !== 'number') return {};
+
+        const across = Math.max(0, Math.min(1, x / this.fieldWidth));
+        const placement = { pan: (across * 2 - 1) * this.stereoWidth };
+
+        if (typeof y === 'number') {
+            const down = Math.max(0, Math.min(1, y / this.fieldHeight));
+            placement.distance = 0.7 + 0.3 * down;
+        }
+        return placement;
+    }
+
+    // Maps ball speed (pixels per frame) to how hard a collision sounds:
+    // faster impacts are louder and brighter (a more open lowpass filter).
+    impact(speed) {
+        if (typeof speed !== 'number') return {};
+
+        const { soft, hard } = this.impactSpeeds;
+        const force = Math.max(0, Math.min(1, (speed - soft) / (hard - soft)));
+        return {
+            velocity: 0.6 + 0.6 * force,
+            cutoff: 1200 * Math.pow(2, force * 3.5)
+        };
     }
 
     init() {
@@ -11,75 +91,298 @@ class BreakoutAudioEngine {
         }
     }
 
-    playTone(frequency, duration, type = 'sine', volume = 0.3) {
-        if (!this.enabled) return;
+    createBus(level) {
+        const bus = this.context.createGain();
+        bus.gain.value = this.enabled ? level : 0;
+        bus.connect(this.context.destination);
+        return bus;
+    }
+
+    startMusic() {
+        this.init();
+
+        if (!this.music) {
+            this.musicBus = this.createBus(this.masterVolume * this.musicVolume);
+            this.music = new AdaptiveMusic(this.context, this.musicBus);
+        }
+        this.music.start();
+    }
 
+    setSonification(enabled) {
         this.init();
 
-        if (this.context.state === 'suspended') {
+        if (enabled) {
+            if (!this.sonifier) {
+                this.sonifierBus = this.createBus(this.masterVolume);
+                this.sonifier = new BreakoutSonifier(this.context, this.sonifierBus, {
+                    fieldWidth: this.fieldWidth
+                });
+            }
+            this.sonifier.start();
+        } else if (this.sonifier) {
+            this.sonifier.stop();
+        }
+    }
+
+    updateBuses() {
+        const now = this.context ? this.context.currentTime : 0;
+
+        if (this.musicBus) {
+            const target = this.enabled ? this.masterVolume * this.musicVolume : 0;
+            this.musicBus.gain.setTargetAtTime(target, now, 0.05);
+        }
+        if (this.sonifierBus) {
+            this.sonifierBus.gain.setTargetAtTime(this.enabled ? this.masterVolume : 0, now, 0.05);
+        }
+    }
+
+    // Stingers land on the next beat while the music is playing
+    stingerTime(duration) {
+        if (!this.music || !this.music.playing) return undefined;
+
+        const when = this.music.nextBeatTime();
+        this.music.duck(when, duration);
+        return when;
+    }
+
+    // Audio time sounds start at: now, or the time of the event being
+    // played back by playAt()
+    now() {
+        return this.eventTime ?? this.context.currentTime;
+    }
+
+    // Play a sound method as if it had been called at the given audio time
+    playAt(time, name, args = []) {
+        if (typeof this[name] !== 'function') {
+            throw new Error(`BreakoutAudioEngine has no sound "${name}"`);
+        }
+
+        this.init();
+        this.eventTime = time;
+        try {
+            return this[name](...args);
+        } finally {
+            this.eventTime = null;
+        }
+    }
+
+    isOffline() {
+        return typeof OfflineAudioContext !== 'undefined' && this.context instanceof OfflineAudioContext;
+    }
+
+    // frequency: Hertz, or a note name like 'C#5'
+    playTone(frequency, duration, type = 'sine', volume = 0.3, options = {}) {
+        if (!this.enabled) return null;
+
+        this.init();
+
+        if (this.context.state === 'suspended' && !this.isOffline()) {
             this.context.resume();
         }
 
         try {
+            const startTime = options.startTime ?? this.now();
             const osc = this.context.createOscillator();
             const gain = this.context.createGain();
 
-            osc.connect(gain);
-            gain.connect(this.context.destination);
+            let filter = null;
+            if (options.cutoff !== undefined) {
+                filter = this.context.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.setValueAtTime(options.cutoff, startTime);
+                osc.connect(filter);
+                filter.connect(gain);
+            } else {
+                osc.connect(gain);
+            }
+
+            let panner = null;
+            if (options.pan !== undefined && this.context.createStereoPanner) {
+                panner = this.context.createStereoPanner();
+                panner.pan.setValueAtTime(options.pan, startTime);
+                gain.connect(panner);
+                panner.connect(this.context.destination);
+            } else {
+                gain.connect(this.context.destination);
+            }
 
             osc.type = type;
-            osc.frequency.setValueAtTime(frequency, this.context.currentTime);
+            osc.frequency.setValueAtTime(toFrequency(frequency), startTime);
 
-            const adjustedVolume = volume * this.masterVolume;
-            gain.gain.setValueAtTime(adjustedVolume, this.context.currentTime);
-            gain.gain.exponentialRampToValueAtTime(0.01, this.context.currentTime + duration);
+            const adjustedVolume = volume * this.masterVolume * (options.distance ?? 1) * (options.velocity ?? 1);
+            gain.gain.setValueAtTime(adjustedVolume, startTime);
+            gain.gain.exponentialRampToValueAtTime(0.01, startTime + duration);
 
-            osc.start(this.context.currentTime);
-            osc.stop(this.context.currentTime + duration);
+            osc.start(startTime);
+            osc.stop(startTime + duration);
 
             osc.onended = () => {
                 osc.disconnect();
                 gain.disconnect();
+                if (filter) filter.disconnect();
+                if (panner) panner.disconnect();
             };
+            return osc;
         } catch (e) {
             console.warn('Audio playback failed:', e.message);
+            return null;
         }
     }
 
-    paddleHit() {
-        const variation = (Math.random() - 0.5) * 20;
-        this.playTone(220 + variation, 0.08, 'sine', 0.4);
-        setTimeout(() => this.playTone(330 + variation, 0.05, 'sine', 0.3), 50);
+    playSequence(notes, options = {}) {
+        if (!this.enabled) return null;
+
+        this.init();
+
+        const { startTime = this.now(), ...toneOptions } = options;
+        return playSequence(this.context, notes, (note, noteTime) =>
+            this.playTone(note.frequency, note.duration, note.type, note.volume, { ...toneOptions, startTime: noteTime }),
+            { startTime }
+        );
     }
 
-    wallBounce() {
-        this.playTone(440, 0.06, 'triangle', 0.25);
+    // hitPos: where the ball struck the paddle, 0 (left edge) to 1 (right edge).
+    // Center hits are a round thump; edge hits are higher with a sharp click.
+    paddleHit(x, y, speed, hitPos = 0.5) {
+        const variation = (this.random() - 0.5) * 20;
+        const edge = Math.min(1, Math.abs(hitPos - 0.5) * 2);
+        const pitch = transpose(toFrequency('A3'), edge * 5) + variation;
+
+        const notes = [
+            { time: 0, frequency: pitch, duration: 0.08, type: 'sine', volume: 0.4 },
+            { time: 0.05, frequency: pitch * 1.5, duration: 0.05, type: 'sine', volume: 0.3 }
+        ];
+        if (edge > 0.6) {
+            notes.push({ time: 0, frequency: pitch * 4, duration: 0.03, type: 'square', volume: 0.1 * edge });
+        }
+        return this.playSequence(notes, { ...this.position(x, y), ...this.impact(speed) });
     }
 
-    brickHit(row) {
-        const basePitch = 330 + (row * 50);
-        this.playTone(basePitch, 0.12, 'square', 0.35);
-        setTimeout(() => this.playTone(basePitch - 100, 0.08, 'square', 0.25), 60);
+    comboBreak(combo, x, y) {
+        const top = this.comboPitch(combo - 2);
+        return this.playSequence([
+            { time: 0, frequency: top, duration: 0.08, type: 'triangle', volume: 0.25 },
+            { time: 0.07, frequency: top * 0.75, duration: 0.08, type: 'triangle', volume: 0.2 },
+            { time: 0.14, frequency: top * 0.5, duration: 0.15, type: 'triangle', volume: 0.15 }
+        ], this.position(x, y));
     }
 
-    ballLost() {
-        [330, 277, 247, 196].forEach((freq, i) => {
-            setTimeout(() => this.playTone(freq, 0.2, 'sawtooth', 0.3), i * 100);
-        });
+    wallBounce(x, y, speed) {
+        return this.playTone('A4', 0.06, 'triangle', 0.25, { ...this.position(x, y), ...this.impact(speed) });
     }
 
-    levelComplete() {
-        const melody = [262, 330, 392, 523];
-        melody.forEach((freq, i) => {
-            setTimeout(() => this.playTone(freq, 0.25, 'sine', 0.4), i * 120);
-        });
+    brickHit(row, x, y, combo = 0, speed) {
+        const placement = { ...this.position(x, y), ...this.impact(speed) };
+
+        if (combo > 1) {
+            const pitch = this.comboPitch(combo - 2);
+            return this.playSequence([
+                { time: 0, frequency: pitch, duration: 0.12, type: 'square', volume: 0.35 },
+                { time: 0.06, frequency: pitch * 2, duration: 0.08, type: 'triangle', volume: 0.2 }
+            ], placement);
+        }
+
+        // Each row is one step higher up the pentatonic scale, answered a fourth below
+        const note = scaleNote('E4', 'majorPentatonic', row);
+        return this.playSequence([
+            { time: 0, frequency: note, duration: 0.12, type: 'square', volume: 0.35 },
+            { time: 0.06, frequency: transpose(note, -5), duration: 0.08, type: 'square', volume: 0.25 }
+        ], placement);
     }
 
-    gameOver() {
-        const scale = [523, 494, 392, 349, 330, 294, 262];
-        scale.forEach((freq, i) => {
-            setTimeout(() => this.playTone(freq, 0.3, 'triangle', 0.35), i * 150);
-        });
+    toughBrickHit(hitsLeft, x, y, speed) {
+        const pitch = 880 + hitsLeft * 220;
+        return this.playSequence([
+            { time: 0, frequency: pitch, duration: 0.05, type: 'square', volume: 0.2 },
+            { time: 0, frequency: pitch * 1.5, duration: 0.08, type: 'triangle', volume: 0.15 }
+        ], { ...this.position(x, y), ...this.impact(speed) });
+    }
+
+    indestructibleHit(x, y, speed) {
+        return this.playSequence([
+            { time: 0, frequency: 180, duration: 0.1, type: 'triangle', volume: 0.3 },
+            { time: 0, frequency: 1270, duration: 0.04, type: 'square', volume: 0.06 }
+        ], { ...this.position(x, y), ...this.impact(speed) });
+    }
+
+    // The ball got faster: a quick upward run that opens up as it climbs
+    speedUp(level) {
+        const root = transpose('E4', level);
+        return this.playSequence([...chord(root, 'major'), transpose(root, 12)].map((note, i) => ({
+            time: i * 0.04,
+            frequency: note,
+            duration: 0.06,
+            type: 'sawtooth',
+            volume: 0.12
+        })), { cutoff: 1500 + level * 500 });
+    }
+
+    powerUpSpawn(x, y) {
+        return this.playSequence(['E5', 'A5', 'C#6'].map((frequency, i) => (
+            { time: i * 0.03, frequency, duration: 0.05, type: 'sine', volume: 0.1 }
+        )), this.position(x, y));
+    }
+
+    powerUpCollect(type, x, y) {
+        const motifs = {
+            // Bright major arpeggio - more of everything
+            multiBall: { notes: [...chord('E5', 'major'), 'E6'], step: 0.05, duration: 0.1, type: 'triangle', volume: 0.25 },
+            // Rising square steps - the paddle stretching out
+            widePaddle: { notes: [...chord('A3', 'major'), 'A4'], step: 0.06, duration: 0.08, type: 'square', volume: 0.2 },
+            // Slow falling sine - time dragging
+            slowBall: { notes: ['A5', 'E5', 'A4'], step: 0.1, duration: 0.2, type: 'sine', volume: 0.25 },
+            // Falling sawtooth zap
+            laser: { notes: ['A6', 'E6', 'A5'], step: 0.03, duration: 0.04, type: 'sawtooth', volume: 0.18 }
+        };
+        const motif = motifs[type];
+        if (!motif) return null;
+
+        return this.playSequence(motif.notes.map((frequency, i) => (
+            { time: i * motif.step, frequency, duration: motif.duration, type: motif.type, volume: motif.volume }
+        )), this.position(x, y));
+    }
+
+    powerUpExpire() {
+        return this.playSequence([
+            { time: 0, frequency: 'E5', duration: 0.08, type: 'triangle', volume: 0.15 },
+            { time: 0.08, frequency: 'A4', duration: 0.12, type: 'triangle', volume: 0.12 }
+        ]);
+    }
+
+    laserFire(x, y) {
+        return this.playSequence([
+            { time: 0, frequency: 1500, duration: 0.04, type: 'sawtooth', volume: 0.1 },
+            { time: 0.02, frequency: 1000, duration: 0.05, type: 'sawtooth', volume: 0.08 }
+        ], this.position(x, y));
+    }
+
+    extraBallLost(x, y) {
+        return this.playTone('G3', 0.12, 'sawtooth', 0.15, this.position(x, y));
+    }
+
+    ballLost(x, y) {
+        return this.playSequence(['E4', 'C#4', 'B3', 'G3'].map((frequency, i) => (
+            { time: i * 0.1, frequency, duration: 0.2, type: 'sawtooth', volume: 0.3 }
+        )), this.position(x, y));
+    }
+
+    levelComplete(x, y) {
+        const melody = [...chord('C4', 'major'), 'C5'];
+        const startTime = this.stingerTime(0.6);
+        return this.playSequence(melody.map((frequency, i) => (
+            { time: i * 0.12, frequency, duration: 0.25, type: 'sine', volume: 0.4 }
+        )), { ...this.position(x, y), startTime });
+    }
+
+    gameOver(x, y) {
+        const melody = ['C5', 'B4', 'G4', 'F4', 'E4', 'D4', 'C4'];
+        const startTime = this.stingerTime(1.2);
+        if (startTime !== undefined) {
+            this.music.stop(2, startTime + 1.2);
+        }
+        return this.playSequence(melody.map((frequency, i) => (
+            { time: i * 0.15, frequency, duration: 0.3, type: 'triangle', volume: 0.35 }
+        )), { ...this.position(x, y), startTime });
     }
 
     setEnabled(enabled) {
@@ -87,29 +390,126 @@ class BreakoutAudioEngine {
         if (enabled && this.context && this.context.state === 'suspended') {
             this.context.resume();
         }
+        this.updateBuses();
     }
 
     setVolume(volume) {
         this.masterVolume = Math.max(0, Math.min(1, volume));
+        this.updateBuses();
+    }
+
+    setMusicVolume(volume) {
+        this.musicVolume = Math.max(0, Math.min(1, volume));
+        this.updateBuses();
     }
 }
 
-class BreakoutGame {
-    constructor(canvas) {
+const POWER_UPS = {
+    multiBall: { color: '#f472b6', label: 'M' },
+    widePaddle: { color: '#34d399', label: 'W' },
+    slowBall: { color: '#60a5fa', label: 'S' },
+    laser: { color: '#f87171', label: 'L' }
+};
+const POWER_UP_CHANCE = 0.15;
+const POWER_UP_DURATION = 600;
+const PADDLE_WIDTH = 100;
+const WIDE_PADDLE_WIDTH = 150;
+const SLOW_FACTOR = 0.6;
+const MAX_BALLS = 6;
+const BASE_SPEED = Math.sqrt(18);
+const SPEED_UP_EVERY = 8;
+const SPEED_UP_FACTOR = 1.1;
+const MAX_SPEED_LEVEL = 6;
+const FRAME_MS = 1000 / 60;
+const LEVEL_RESET_FRAMES = 120;
+
+// Sounds draw from their own random stream, seeded from the session seed,
+// so replaying the sound log alone reproduces them exactly
+function soundRandom(seed) {
+    return new SeededRandom(seed ^ 0x5eed).random;
+}
+
+// Render a recording's sounds to an AudioBuffer (music is not included)
+export function renderRecording(data, { tail = 2, ...options } = {}) {
+    const recording = parseRecording(data);
+    const end = recording.events.reduce((latest, event) => Math.max(latest, event.time), 0);
+
+    return renderOffline(context => {
+        const audio = new BreakoutAudioEngine(context);
+        audio.random = soundRandom(recording.seed);
+        if (recording.field) {
+            audio.setFieldSize(recording.field.width, recording.field.height);
+        }
+        if (recording.options.comboScale) {
+            audio.setComboScale(recording.options.comboScale);
+        }
+
+        recording.events.forEach(({ time, name, args }) => audio.playAt(time, name, args));
+    }, { duration: end + tail, ...options });
+}
+
+export class BreakoutGame {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.audio = new BreakoutAudioEngine();
+        this.audio.setFieldSize(canvas.width, canvas.height);
+        this.options = {
+            comboScale: options.comboScale,
+            maxComboMultiplier: options.maxComboMultiplier ?? 8
+        };
+        if (options.comboScale) {
+            this.audio.setComboScale(options.comboScale);
+        }
+
+        // Everything random in play comes from here so sessions can be replayed
+        this.frame = 0;
+        this.seedRandom(randomSeed());
+        this.recorder = null;
+        this.replaying = null;
+        this.replayIndex = 0;
+        this.levelResetFrames = 0;
 
-        this.ball = { x: 300, y: 352, dx: 3, dy: -3, radius: 8 };
-        this.paddle = { x: 250, y: 360, width: 100, height: 12, speed: 8 };
+        this.balls = [this.createBall()];
+        this.paddle = { x: 250, y: 360, width: PADDLE_WIDTH, height: 12, speed: 8 };
         this.bricks = this.createBricks();
+        this.powerUps = [];
+        this.lasers = [];
+        this.effects = { widePaddle: 0, slowBall: 0, laser: 0 };
+        this.laserCooldown = 0;
+        this.speedLevel = 0;
+        this.bricksSinceSpeedUp = 0;
         this.score = 0;
         this.lives = 3;
         this.gameActive = false;
+        this.sonification = false;
+        this.combo = 0;
+        this.maxComboMultiplier = this.options.maxComboMultiplier;
+        this.comboFlash = 0;
+
+        // With several balls in play, collisions can pile up in a single
+        // frame - throttling keeps multi-ball from turning into noise. The
+        // throttles run on game frames, not the wall clock, to stay replayable.
+        const throttle = (name, interval) => new ThrottledSound(
+            (...args) => this.sound(name, ...args),
+            interval,
+            () => this.frame * FRAME_MS
+        );
+        this.collisionSounds = {
+            wall: throttle('wallBounce', 40),
+            paddle: throttle('paddleHit', 40),
+            brick: throttle('brickHit', 30),
+            toughBrick: throttle('toughBrickHit', 30),
+            solidBrick: throttle('indestructibleHit', 40)
+        };
 
         this.setupControls();
     }
 
+    createBall(x = this.canvas.width / 2, y = 352, dx = 3, dy = -3) {
+        return { x, y, dx, dy, radius: 8 };
+    }
+
     createBricks() {
         const bricks = [];
         const rows = 6;
@@ -123,12 +523,27 @@ class BreakoutGame {
             for (let col = 0; col < cols; col++) {
                 const totalPadding = (cols - 1) * padding + offsetX * 2;
                 const brickWidth = (this.canvas.width - totalPadding) / cols;
+
+                let type = 'normal';
+                let hits = 1;
+                if (row === 3 && (col === 2 || col === 7)) {
+                    type = 'indestructible';
+                    hits = Infinity;
+                } else if (row < 2) {
+                    type = 'multiHit';
+                    hits = 2;
+                }
+
                 bricks.push({
                     x: offsetX + col * (brickWidth + padding),
                     y: offsetY + row * (brickHeight + padding),
                     width: brickWidth,
                     height: brickHeight,
                     row,
+                    col,
+                    type,
+                    hits,
+                    maxHits: hits,
                     alive: true
                 });
             }
@@ -136,37 +551,184 @@ class BreakoutGame {
         return bricks;
     }
 
+    seedRandom(seed) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.audio.random = soundRandom(seed);
+    }
+
     setupControls() {
         this.keys = {};
         document.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-            if (e.key === ' ') {
-                if (!this.gameActive && this.lives > 0) {
-                    this.start();
-                } else if (this.lives <= 0) {
-                    this.lives = 3;
-                    this.score = 0;
-                    this.resetLevel();
-                    this.start();
-                }
-            }
+            this.handleInput({ type: 'keydown', key: e.key });
         });
         document.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
+            this.handleInput({ type: 'keyup', key: e.key });
         });
 
         this.canvas.addEventListener('mousemove', (e) => {
             const rect = this.canvas.getBoundingClientRect();
-            let newX = e.clientX - rect.left - this.paddle.width / 2;
+            this.handleInput({ type: 'mouse', x: e.clientX - rect.left });
+        });
+    }
+
+    // Live input: recorded while recording, ignored while a replay is running
+    handleInput(input) {
+        if (this.replaying) return;
+
+        if (this.recorder) {
+            this.recorder.input(this.frame, input);
+        }
+        this.applyInput(input);
+    }
+
+    applyInput(input) {
+        if (input.type === 'mouse') {
+            const newX = input.x - this.paddle.width / 2;
             this.paddle.x = Math.max(0, Math.min(this.canvas.width - this.paddle.width, newX));
+            return;
+        }
+
+        if (input.type === 'keyup') {
+            this.keys[input.key] = false;
+            return;
+        }
+
+        this.keys[input.key] = true;
+        if ((input.key === 'b' || input.key === 'B') && this.sonification) {
+            this.announceColumns();
+        }
+        if (input.key === ' ') {
+            if (!this.gameActive && this.lives > 0) {
+                this.start();
+            } else if (this.lives <= 0) {
+                this.lives = 3;
+                this.score = 0;
+                this.resetLevel();
+                this.start();
+            }
+        }
+    }
+
+    // Play a game sound through the audio engine, logging it when recording
+    sound(name, ...args) {
+        if (this.recorder) {
+            const time = this.audio.context ? this.audio.context.currentTime : 0;
+            this.recorder.event(this.frame, time, name, args);
+        }
+        return this.audio[name](...args);
+    }
+
+    // Put the game back to its opening state for a fresh, seeded session
+    newSession(seed) {
+        this.seedRandom(seed);
+        this.frame = 0;
+        this.keys = {};
+        this.lives = 3;
+        this.score = 0;
+        this.levelResetFrames = 0;
+        this.laserCooldown = 0;
+        this.paddle.x = 250;
+        this.paddle.width = PADDLE_WIDTH;
+        Object.values(this.collisionSounds).forEach(sound => sound.reset());
+        this.resetLevel();
+    }
+
+    startRecording(seed = randomSeed()) {
+        this.stopReplay();
+        this.audio.init();
+        this.newSession(seed);
+        this.recorder = new BreakoutRecorder({
+            seed,
+            options: this.options,
+            field: { width: this.canvas.width, height: this.canvas.height },
+            startTime: this.audio.context.currentTime
         });
     }
 
+    // Returns the finished recording (plain, JSON-serialisable data)
+    stopRecording() {
+        if (!this.recorder) return null;
+
+        const recording = this.recorder.finish(this.frame);
+        this.recorder = null;
+        return recording;
+    }
+
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    // Play a recording back, frame for frame, ignoring live input until it ends
+    replay(data) {
+        const recording = parseRecording(data);
+        this.stopRecording();
+
+        this.maxComboMultiplier = recording.options.maxComboMultiplier ?? this.options.maxComboMultiplier;
+        if (recording.options.comboScale) {
+            this.audio.setComboScale(recording.options.comboScale);
+        }
+
+        this.newSession(recording.seed);
+        this.replaying = recording;
+        this.replayIndex = 0;
+    }
+
+    stopReplay() {
+        if (!this.replaying) return;
+
+        this.replaying = null;
+        this.keys = {};
+        this.maxComboMultiplier = this.options.maxComboMultiplier;
+        this.audio.setComboScale(this.options.comboScale || COMBO_SCALES.majorPentatonic);
+    }
+
+    get isReplaying() {
+        return this.replaying !== null;
+    }
+
+    replayInputs() {
+        const { inputs, frames } = this.replaying;
+
+        while (this.replayIndex < inputs.length && inputs[this.replayIndex].frame <= this.frame) {
+            this.applyInput(inputs[this.replayIndex]);
+            this.replayIndex++;
+        }
+
+        if (this.frame >= frames) {
+            this.stopReplay();
+            this.gameActive = false;
+        }
+    }
+
     start() {
         this.gameActive = true;
         if (this.audio.context && this.audio.context.state === 'suspended') {
             this.audio.context.resume();
         }
+        this.audio.startMusic();
+    }
+
+    // The ball most in need of attention: the lowest one that is falling
+    primaryBall() {
+        const falling = this.balls.filter(ball => ball.dy > 0);
+        const candidates = falling.length ? falling : this.balls;
+        return candidates.reduce((lowest, ball) => (!lowest || ball.y > lowest.y ? ball : lowest), null);
+    }
+
+    updateMusic() {
+        if (!this.audio.music) return;
+
+        const destructible = this.bricks.filter(b => b.type !== 'indestructible');
+        const remaining = destructible.filter(b => b.alive).length;
+        const ball = this.primaryBall();
+        const speed = ball ? this.ballSpeed(ball) : 0;
+
+        this.audio.music.update({
+            progress: destructible.length ? 1 - remaining / destructible.length : 0,
+            speed: Math.max(0, Math.min(1, (speed - BASE_SPEED) / BASE_SPEED)),
+            lives: this.lives
+        });
     }
 
     update() {
@@ -177,76 +739,311 @@ class BreakoutGame {
             this.paddle.x += this.paddle.speed;
         }
 
-        this.ball.x += this.ball.dx;
-        this.ball.y += this.ball.dy;
+        this.updateEffects();
+        this.balls.forEach(ball => this.updateBall(ball));
+        this.updatePowerUps();
+        this.updateLasers();
+        this.updateMusic();
+
+        const lost = this.balls.filter(ball => ball.y - ball.radius > this.canvas.height);
+        if (lost.length === 0) return;
+
+        this.balls = this.balls.filter(ball => !lost.includes(ball));
+        if (this.balls.length > 0) {
+            lost.forEach(ball => this.sound('extraBallLost', ball.x));
+            return;
+        }
+
+        this.lives--;
+        this.combo = 0;
+        this.sound('ballLost', lost[0].x);
+
+        if (this.lives <= 0) {
+            this.gameActive = false;
+            this.sound('gameOver');
+        } else {
+            this.resetBall();
+        }
+    }
+
+    ballSpeed(ball) {
+        return Math.sqrt(ball.dx ** 2 + ball.dy ** 2);
+    }
+
+    updateBall(ball) {
+        ball.x += ball.dx;
+        ball.y += ball.dy;
+        const speed = this.ballSpeed(ball);
 
-        if (this.ball.x + this.ball.radius > this.canvas.width || this.ball.x - this.ball.radius < 0) {
-            this.ball.dx = -this.ball.dx;
-            this.audio.wallBounce();
+        if (ball.x + ball.radius > this.canvas.width || ball.x - ball.radius < 0) {
+            ball.dx = -ball.dx;
+            this.collisionSounds.wall.play(ball.x, ball.y, speed);
         }
-        if (this.ball.y - this.ball.radius < 0) {
-            this.ball.dy = Math.abs(this.ball.dy);
-            this.audio.wallBounce();
+        if (ball.y - ball.radius < 0) {
+            ball.dy = Math.abs(ball.dy);
+            this.collisionSounds.wall.play(ball.x, ball.y, speed);
         }
 
         if (
-            this.ball.y + this.ball.radius >= this.paddle.y &&
-            this.ball.y - this.ball.radius < this.paddle.y + this.paddle.height &&
-            this.ball.x >= this.paddle.x &&
-            this.ball.x <= this.paddle.x + this.paddle.width
+            ball.y + ball.radius >= this.paddle.y &&
+            ball.y - ball.radius < this.paddle.y + this.paddle.height &&
+            ball.x >= this.paddle.x &&
+            ball.x <= this.paddle.x + this.paddle.width
         ) {
-            this.ball.y = this.paddle.y - this.ball.radius;
+            ball.y = this.paddle.y - ball.radius;
 
-            const hitPos = (this.ball.x - this.paddle.x) / this.paddle.width;
+            const hitPos = (ball.x - this.paddle.x) / this.paddle.width;
             const angle = (hitPos - 0.5) * Math.PI / 3;
-            const speed = Math.sqrt(this.ball.dx ** 2 + this.ball.dy ** 2);
 
-            this.ball.dx = speed * Math.sin(angle);
-            this.ball.dy = -speed * Math.cos(angle);
-            this.audio.paddleHit();
+            ball.dx = speed * Math.sin(angle);
+            ball.dy = -speed * Math.cos(angle);
+            this.collisionSounds.paddle.play(ball.x, ball.y, speed, hitPos);
+
+            if (this.combo > 1) {
+                this.sound('comboBreak', this.combo, ball.x, ball.y);
+            }
+            this.combo = 0;
         }
 
         this.bricks.some(brick => {
             if (!brick.alive) return false;
 
             if (
-                this.ball.x + this.ball.radius > brick.x &&
-                this.ball.x - this.ball.radius < brick.x + brick.width &&
-                this.ball.y + this.ball.radius > brick.y &&
-                this.ball.y - this.ball.radius < brick.y + brick.height
+                ball.x + ball.radius > brick.x &&
+                ball.x - ball.radius < brick.x + brick.width &&
+                ball.y + ball.radius > brick.y &&
+                ball.y - ball.radius < brick.y + brick.height
             ) {
-                this.ball.dy = -this.ball.dy;
-                brick.alive = false;
-                this.score += 10;
-                this.audio.brickHit(brick.row);
-
-                if (this.bricks.every(b => !b.alive)) {
-                    this.audio.levelComplete();
-                    setTimeout(() => this.resetLevel(), 2000);
-                }
+                ball.dy = -ball.dy;
+                this.hitBrick(brick, speed);
                 return true;
             }
             return false;
         });
+    }
 
-        if (this.ball.y - this.ball.radius > this.canvas.height) {
-            this.lives--;
-            this.audio.ballLost();
+    // speed: how fast the ball was moving (lasers leave it out)
+    hitBrick(brick, speed) {
+        const x = brick.x + brick.width / 2;
+        const y = brick.y + brick.height / 2;
 
-            if (this.lives <= 0) {
-                this.gameActive = false;
-                this.audio.gameOver();
+        if (brick.type === 'indestructible') {
+            this.collisionSounds.solidBrick.play(x, y, speed);
+            return;
+        }
+
+        brick.hits--;
+        if (brick.hits > 0) {
+            this.score += 5;
+            this.collisionSounds.toughBrick.play(brick.hits, x, y, speed);
+            return;
+        }
+
+        brick.alive = false;
+        this.combo++;
+        this.comboFlash = 20;
+        this.score += 10 * brick.maxHits * this.comboMultiplier();
+        this.collisionSounds.brick.play(brick.row, x, y, this.combo, speed);
+
+        this.bricksSinceSpeedUp++;
+        if (this.bricksSinceSpeedUp >= SPEED_UP_EVERY) {
+            this.bricksSinceSpeedUp = 0;
+            this.speedUp();
+        }
+
+        if (this.rng.next() < POWER_UP_CHANCE) {
+            this.spawnPowerUp(x, y);
+        }
+
+        if (this.bricks.every(b => !b.alive || b.type === 'indestructible')) {
+            this.sound('levelComplete');
+            this.levelResetFrames = LEVEL_RESET_FRAMES;
+        }
+    }
+
+    spawnPowerUp(x, y) {
+        const type = this.rng.pick(Object.keys(POWER_UPS));
+        this.powerUps.push({ x: x - 12, y, width: 24, height: 12, dy: 2, type });
+        this.sound('powerUpSpawn', x, y);
+    }
+
+    updatePowerUps() {
+        this.powerUps = this.powerUps.filter(powerUp => {
+            powerUp.y += powerUp.dy;
+
+            const caught =
+                powerUp.y + powerUp.height >= this.paddle.y &&
+                powerUp.y <= this.paddle.y + this.paddle.height &&
+                powerUp.x + powerUp.width >= this.paddle.x &&
+                powerUp.x <= this.paddle.x + this.paddle.width;
+
+            if (caught) {
+                this.applyPowerUp(powerUp.type);
+                this.sound('powerUpCollect', powerUp.type, powerUp.x + powerUp.width / 2, powerUp.y);
+                return false;
+            }
+            return powerUp.y < this.canvas.height;
+        });
+    }
+
+    applyPowerUp(type) {
+        if (type === 'multiBall') {
+            const extra = [];
+            this.balls.forEach(ball => {
+                [-0.4, 0.4].forEach(turn => {
+                    const cos = Math.cos(turn);
+                    const sin = Math.sin(turn);
+                    extra.push(this.createBall(
+                        ball.x,
+                        ball.y,
+                        ball.dx * cos - ball.dy * sin,
+                        ball.dx * sin + ball.dy * cos
+                    ));
+                });
+            });
+            this.balls.push(...extra.slice(0, MAX_BALLS - this.balls.length));
+            return;
+        }
+
+        if (type === 'widePaddle' && this.effects.widePaddle === 0) {
+            this.setPaddleWidth(WIDE_PADDLE_WIDTH);
+        }
+        if (type === 'slowBall' && this.effects.slowBall === 0) {
+            this.scaleBallSpeed(SLOW_FACTOR);
+        }
+        this.effects[type] = POWER_UP_DURATION;
+    }
+
+    updateEffects() {
+        Object.keys(this.effects).forEach(type => {
+            if (this.effects[type] === 0) return;
+
+            this.effects[type]--;
+            if (this.effects[type] === 0) {
+                this.endEffect(type);
+                this.sound('powerUpExpire');
+            }
+        });
+    }
+
+    endEffect(type) {
+        if (type === 'widePaddle') {
+            this.setPaddleWidth(PADDLE_WIDTH);
+        }
+        if (type === 'slowBall') {
+            this.scaleBallSpeed(1 / SLOW_FACTOR);
+        }
+    }
+
+    clearEffects() {
+        Object.keys(this.effects).forEach(type => {
+            if (this.effects[type] > 0) {
+                this.effects[type] = 0;
+                this.endEffect(type);
+            }
+        });
+        this.powerUps = [];
+        this.lasers = [];
+    }
+
+    // Every few bricks the balls get faster, up to a limit
+    speedUp() {
+        if (this.speedLevel >= MAX_SPEED_LEVEL) return;
+
+        this.speedLevel++;
+        this.scaleBallSpeed(SPEED_UP_FACTOR);
+        this.sound('speedUp', this.speedLevel);
+    }
+
+    setPaddleWidth(width) {
+        const center = this.paddle.x + this.paddle.width / 2;
+        this.paddle.width = width;
+        this.paddle.x = Math.max(0, Math.min(this.canvas.width - width, center - width / 2));
+    }
+
+    scaleBallSpeed(factor) {
+        this.balls.forEach(ball => {
+            ball.dx *= factor;
+            ball.dy *= factor;
+        });
+    }
+
+    updateLasers() {
+        if (this.effects.laser > 0) {
+            if (this.laserCooldown > 0) {
+                this.laserCooldown--;
             } else {
-                this.resetBall();
+                this.laserCooldown = 30;
+                const left = this.paddle.x + 4;
+                const right = this.paddle.x + this.paddle.width - 4;
+                this.lasers.push({ x: left, y: this.paddle.y }, { x: right, y: this.paddle.y });
+                this.sound('laserFire', this.paddle.x + this.paddle.width / 2, this.paddle.y);
             }
         }
+
+        this.lasers = this.lasers.filter(laser => {
+            laser.y -= 8;
+
+            const brick = this.bricks.find(b =>
+                b.alive &&
+                laser.x >= b.x && laser.x <= b.x + b.width &&
+                laser.y >= b.y && laser.y <= b.y + b.height
+            );
+            if (brick) {
+                this.hitBrick(brick);
+                return false;
+            }
+            return laser.y > 0;
+        });
+    }
+
+    setSonification(enabled) {
+        this.sonification = enabled;
+        this.audio.setSonification(enabled);
+    }
+
+    updateSonification() {
+        const sonifier = this.audio.sonifier;
+        if (!this.sonification || !sonifier) return;
+
+        const ball = this.primaryBall();
+        if (!this.gameActive || !ball) {
+            sonifier.silence();
+            return;
+        }
+
+        sonifier.update({
+            ballX: ball.x,
+            ballY: ball.y,
+            ballDy: ball.dy,
+            paddleX: this.paddle.x,
+            paddleY: this.paddle.y,
+            paddleWidth: this.paddle.width
+        });
+    }
+
+    announceColumns() {
+        const counts = [];
+        let rows = 0;
+        this.bricks.forEach(brick => {
+            // Indestructible bricks never go away, so they aren't bricks left to clear
+            const remaining = brick.alive && brick.type !== 'indestructible';
+            counts[brick.col] = (counts[brick.col] || 0) + (remaining ? 1 : 0);
+            rows = Math.max(rows, brick.row + 1);
+        });
+        this.audio.sonifier.announceColumns(counts, rows);
+    }
+
+    comboMultiplier() {
+        return Math.max(1, Math.min(this.combo, this.maxComboMultiplier));
     }
 
     resetBall() {
-        this.ball.x = this.canvas.width / 2;
-        this.ball.y = 352;
-        this.ball.dx = 3 * (Math.random() > 0.5 ? 1 : -1);
-        this.ball.dy = -3;
+        this.clearEffects();
+        this.balls = [this.createBall(this.canvas.width / 2, 352, 3 * (this.rng.next() > 0.5 ? 1 : -1), -3)];
+        this.speedLevel = 0;
+        this.bricksSinceSpeedUp = 0;
+        this.combo = 0;
         this.gameActive = false;
     }
 
@@ -259,26 +1056,53 @@ class BreakoutGame {
         this.ctx.fillStyle = "#0a0e27";
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        this.ctx.fillStyle = '#3b82f6';
+        this.ctx.fillStyle = this.effects.laser > 0 ? '#f87171' : '#3b82f6';
         this.ctx.fillRect(this.paddle.x, this.paddle.y, this.paddle.width, this.paddle.height);
 
         this.ctx.fillStyle = '#ef4444';
-        this.ctx.beginPath();
-        this.ctx.arc(this.ball.x, this.ball.y, this.ball.radius, 0, Math.PI * 2);
-        this.ctx.fill();
+        this.balls.forEach(ball => {
+            this.ctx.beginPath();
+            this.ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
 
         this.bricks.forEach(brick => {
             if (!brick.alive) return;
-            const hue = 60 - brick.row * 10;
-            this.ctx.fillStyle = `hsl(${hue}, 70%, 60%)`;
+            if (brick.type === 'indestructible') {
+                this.ctx.fillStyle = '#6b7280';
+            } else {
+                const hue = 60 - brick.row * 10;
+                const lightness = 60 - (brick.hits - 1) * 15;
+                this.ctx.fillStyle = `hsl(${hue}, 70%, ${lightness}%)`;
+            }
             this.ctx.fillRect(brick.x, brick.y, brick.width, brick.height);
         });
 
+        this.ctx.fillStyle = '#fde047';
+        this.lasers.forEach(laser => {
+            this.ctx.fillRect(laser.x - 1, laser.y - 8, 2, 8);
+        });
+
+        this.ctx.font = 'bold 10px monospace';
+        this.ctx.textAlign = 'center';
+        this.powerUps.forEach(powerUp => {
+            const { color, label } = POWER_UPS[powerUp.type];
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(powerUp.x, powerUp.y, powerUp.width, powerUp.height);
+            this.ctx.fillStyle = '#0a0e27';
+            this.ctx.fillText(label, powerUp.x + powerUp.width / 2, powerUp.y + 10);
+        });
+        this.ctx.textAlign = 'left';
+
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = '16px monospace';
         this.ctx.fillText(`Score: ${this.score}`, 10, 25);
         this.ctx.fillText(`Lives: ${this.lives}`, 10, 45);
 
+        if (this.combo > 1) {
+            this.drawCombo();
+        }
+
         if (!this.gameActive) {
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -297,10 +1121,42 @@ class BreakoutGame {
         }
     }
 
-    gameLoop() {
+    drawCombo() {
+        const pulse = this.comboFlash / 20;
+        const size = 18 + Math.round(pulse * 8);
+        const hue = (this.combo * 35) % 360;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'right';
+        this.ctx.font = `bold ${size}px monospace`;
+        this.ctx.fillStyle = `hsl(${hue}, 90%, ${60 + pulse * 20}%)`;
+        this.ctx.fillText(`COMBO ×${this.comboMultiplier()}`, this.canvas.width - 10, 30);
+        this.ctx.font = '12px monospace';
+        this.ctx.fillStyle = '#9ca3af';
+        this.ctx.fillText(`${this.combo} hits`, this.canvas.width - 10, 48);
+        this.ctx.restore();
+
+        if (this.comboFlash > 0) this.comboFlash--;
+    }
+
+    // One frame of game time. Replayed input is applied at the same frames
+    // it was recorded at.
+    tick() {
+        if (this.replaying) {
+            this.replayInputs();
+        }
         if (this.gameActive) {
             this.update();
         }
+        if (this.levelResetFrames > 0 && --this.levelResetFrames === 0) {
+            this.resetLevel();
+        }
+        this.frame++;
+    }
+
+    gameLoop() {
+        this.tick();
+        this.updateSonification();
         this.draw();
         requestAnimationFrame(() => this.gameLoop());
     }
@@ -316,9 +1172,71 @@ document.addEventListener('DOMContentLoaded', () => {
         e.target.textContent = newState ? '🔊 Sound On' : '🔇 Sound Off';
     });
 
+    document.getElementById('toggleSonification').addEventListener('click', (e) => {
+        const newState = !game.sonification;
+        game.setSonification(newState);
+        e.target.textContent = newState ? '♿ Audio-only Mode: On' : '♿ Audio-only Mode: Off';
+        e.target.setAttribute('aria-pressed', String(newState));
+    });
+
     document.getElementById('volumeSlider').addEventListener('input', (e) => {
         game.audio.setVolume(e.target.value / 100);
     });
 
+    let recording = null;
+    const recordButton = document.getElementById('toggleRecord');
+    const replayButton = document.getElementById('replay');
+    const saveButton = document.getElementById('saveRecording');
+    const exportButton = document.getElementById('exportReplay');
+
+    const useRecording = (data) => {
+        recording = data;
+        [replayButton, saveButton, exportButton].forEach(button => { button.disabled = false; });
+    };
+
+    recordButton.addEventListener('click', () => {
+        if (game.isRecording) {
+            useRecording(game.stopRecording());
+            recordButton.textContent = '⏺ Record';
+        } else {
+            game.startRecording();
+            recordButton.textContent = '⏹ Stop Recording';
+        }
+    });
+
+    replayButton.addEventListener('click', () => {
+        recordButton.textContent = '⏺ Record';
+        game.replay(recording);
+    });
+
+    saveButton.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `breakout-${recording.seed}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    document.getElementById('loadRecording').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            useRecording(parseRecording(await file.text()));
+        } catch (error) {
+            console.warn('Could not load recording:', error.message);
+        }
+    });
+
+    exportButton.addEventListener('click', async () => {
+        exportButton.disabled = true;
+        try {
+            downloadWav(await renderRecording(recording), `breakout-${recording.seed}.wav`);
+        } finally {
+            exportButton.disabled = false;
+        }
+    });
+
     game.gameLoop();
 });
@@ -5,212 +5,616 @@
  * - Oscillator detuning for rich timbres
  * - Biquad filters for tone shaping
  * - Filter sweeps for dynamic effects
+ * - Data-driven synth patches (see Patches.js)
+ * - LFO vibrato, tremolo and filter wobble (see LFO.js)
+ * - FM synthesis and custom wavetables (see FMSynth.js, Wavetables.js)
+ * - Synthesized drums and step sequencing (see DrumKit.js, StepSequencer.js)
+ * - Custom DSP on the audio thread with AudioWorklet (see Worklets.js)
+ * - Seeded, sfxr-style procedural sound effects (see SfxGenerator.js)
  */
 
+import { PATCH_PRESETS, normalizePatch, resolveEnvelope } from './Patches.js';
+import { LFO } from './LFO.js';
+import { applyWaveform, createWavetable } from './Wavetables.js';
+import { normalizeFMPatch } from './FMSynth.js';
+import { WORKLET_MODULES, loadWorklet, Bitcrusher, RandomModulator } from './Worklets.js';
+import { KarplusStrong } from './worklets/DSP.js';
+import { normalizeSfx, pulseHarmonics, sfxDuration } from './SfxGenerator.js';
+import { createNoiseSource, startNoise } from '../06-utilities/Noise.js';
+import { normalizeEnvelope, scheduleEnvelope } from '../06-utilities/Envelope.js';
+import { toFrequency } from '../06-utilities/MusicTheory.js';
+
+// Settings used when an LFO option is just `true`
+const LFO_DEFAULTS = {
+  vibrato: { shape: 'sine', rate: 5.5, depth: 15, delay: 0.15, fadeIn: 0.3 },
+  tremolo: { shape: 'sine', rate: 6, depth: 0.5 },
+  wobble: { shape: 'sine', rate: 2, depth: 400 }
+};
+
+const NOISE_FILTER = { type: 'bandpass', frequency: 500, Q: 2 };
+
+// Noise played at this "frequency" runs at its recorded speed
+const SFX_NOISE_PITCH = 1000;
+
+// Lowest cutoff a filter envelope sweeps to, in Hertz (exponential ramps
+// can't reach zero)
+const MIN_CUTOFF = 10;
+
+// Fade at the end of a pluck, so cutting the string off doesn't click
+const PLUCK_RELEASE = 0.05;
+
+function lfoSettings(option, defaults) {
+  return option === true ? { ...defaults } : { ...defaults, ...option };
+}
+
+/**
+ * Sweep a filter cutoff from its base up to base + amount and back, along
+ * the envelope's stages and curve
+ *
+ * The envelope drives the cutoff itself rather than an offset added to it,
+ * so an exponential curve is exponential in Hertz (even octaves) all the way
+ * from the base.
+ */
+function scheduleCutoff(param, envelope, base, amount, startTime, duration) {
+  const { attack, decay, sustain, release, curve } = normalizeEnvelope(envelope);
+  const exponential = curve === 'exponential';
+  const peak = Math.max(base + amount, MIN_CUTOFF);
+  const held = Math.max(base + amount * sustain, MIN_CUTOFF);
+
+  const between = (from, to, progress) => (exponential
+    ? from * Math.pow(to / from, progress)
+    : from + (to - from) * progress);
+  const levelAt = elapsed => {
+    if (elapsed < attack) return between(base, peak, elapsed / attack);
+    if (elapsed < attack + decay) return between(peak, held, (elapsed - attack) / decay);
+    return held;
+  };
+  const rampTo = (value, time) => (exponential
+    ? param.exponentialRampToValueAtTime(value, time)
+    : param.linearRampToValueAtTime(value, time));
+
+  param.setValueAtTime(attack > 0 ? base : peak, startTime);
+  if (attack > 0) {
+    const attackEnd = Math.min(attack, duration);
+    rampTo(levelAt(attackEnd), startTime + attackEnd);
+  }
+  if (duration > attack && decay > 0) {
+    const decayEnd = Math.min(attack + decay, duration);
+    rampTo(levelAt(decayEnd), startTime + decayEnd);
+  }
+  param.setValueAtTime(levelAt(duration), startTime + duration);
+  rampTo(base, startTime + duration + Math.max(release, 0.005));
+}
+
 export class AdvancedAudio {
-  constructor() {
-    this.context = new AudioContext();
+  /**
+   * @param {BaseAudioContext} audioContext - Context to play into
+   *                                          (e.g. an OfflineAudioContext)
+   */
+  constructor(audioContext = new AudioContext()) {
+    this.context = audioContext;
+
+    // Every sound goes through this bus - insert effects here
+    this.output = audioContext.createGain();
+    this.output.connect(audioContext.destination);
   }
 
   /**
-   * Create a "thick" sound by stacking detuned oscillators
-   * This creates a chorus/unison effect
+   * Play a synth patch
+   *
+   * Builds the patch's graph fresh for each note:
+   * oscillators (each with its own amp envelope) → filter → output gain.
+   * A cutoff envelope sweeps the filter up from its base cutoff and back.
+   *
+   * LFO options take the LFO settings (see LFO.js), or `true` for defaults:
+   * - vibrato: wobbles pitch; depth in cents (or Hertz with target: 'frequency')
+   * - tremolo: wobbles volume; depth 0-1 is how much of the level dips away
+   * - wobble: wobbles the filter cutoff; depth in Hertz (needs a filter)
+   *
+   * @param {Object} patch - Patch data (see Patches.js)
+   * @param {number|string} pitch - Pitch of the note in Hertz, or a note name like 'C#5'
+   * @param {number} duration - Seconds the note is held before its release
+   * @param {Object} options
+   * @param {number} options.startTime - Audio time to start at (defaults to now)
+   * @param {number} options.velocity - How hard the note is played, 0.0 to 1.0
+   * @param {Object|boolean} options.vibrato - Pitch LFO
+   * @param {Object|boolean} options.tremolo - Amplitude LFO
+   * @param {Object|boolean} options.wobble - Filter cutoff LFO
+   * @returns {Array<OscillatorNode>} - The oscillators (for stopping early)
+   */
+  playPatch(patch, pitch, duration, options = {}) {
+    const ctx = this.context;
+    const frequency = toFrequency(pitch);
+    const { startTime = ctx.currentTime, velocity = 1 } = options;
+    const { oscillators, filter, envelope, gain } = normalizePatch(patch);
+    const lfos = [];
+
+    const output = ctx.createGain();
+    output.gain.setValueAtTime(gain * velocity, startTime);
+    output.connect(this.output);
+    const stages = [output];
+
+    let input = output;
+    if (options.tremolo) {
+      const settings = lfoSettings(options.tremolo, LFO_DEFAULTS.tremolo);
+      const tremolo = ctx.createGain();
+
+      // Swing between full level and (1 - depth)
+      tremolo.gain.setValueAtTime(1 - settings.depth / 2, startTime);
+      lfos.push(new LFO(ctx, { ...settings, depth: settings.depth / 2 }).connect(tremolo.gain));
+
+      tremolo.connect(input);
+      input = tremolo;
+      stages.push(tremolo);
+    }
+
+    if (filter) {
+      const biquad = ctx.createBiquadFilter();
+      biquad.type = filter.type;
+      biquad.Q.setValueAtTime(filter.Q, startTime);
+      biquad.connect(input);
+      input = biquad;
+      stages.push(biquad);
+
+      if (filter.envelope && filter.envelope.amount) {
+        scheduleCutoff(
+          biquad.frequency,
+          resolveEnvelope(filter.envelope, duration),
+          filter.frequency,
+          filter.envelope.amount,
+          startTime,
+          duration
+        );
+      } else {
+        biquad.frequency.setValueAtTime(filter.frequency, startTime);
+      }
+
+      if (options.wobble) {
+        lfos.push(new LFO(ctx, lfoSettings(options.wobble, LFO_DEFAULTS.wobble)).connect(biquad.frequency));
+      }
+    } else if (options.wobble) {
+      console.warn('Wobble needs a patch with a filter - ignoring it');
+    }
+
+    let vibrato = null;
+    if (options.vibrato) {
+      const { target = 'detune', ...settings } = lfoSettings(options.vibrato, LFO_DEFAULTS.vibrato);
+      vibrato = { target, lfo: new LFO(ctx, settings) };
+      lfos.push(vibrato.lfo);
+    }
+
+    let stopTime = startTime + duration;
+    const nodes = oscillators.map(config => {
+      const osc = ctx.createOscillator();
+      const oscGain = ctx.createGain();
+
+      applyWaveform(osc, config.waveform, config.harmonics);
+      osc.frequency.setValueAtTime(frequency * config.ratio, startTime);
+      osc.detune.setValueAtTime(config.detune, startTime);
+      if (vibrato) {
+        vibrato.lfo.connect(osc[vibrato.target]);
+      }
+
+      const oscEnvelope = resolveEnvelope({ ...envelope, ...config.envelope }, duration);
+      const endTime = scheduleEnvelope(oscGain.gain, oscEnvelope, config.volume, startTime, duration);
+      stopTime = Math.max(stopTime, endTime);
+
+      osc.connect(oscGain);
+      oscGain.connect(input);
+      return osc;
+    });
+
+    nodes.forEach(osc => {
+      osc.start(startTime);
+      osc.stop(stopTime);
+    });
+
+    lfos.forEach(lfo => {
+      lfo.start(startTime);
+      lfo.stop(stopTime);
+    });
+
+    // Tear the graph down once the last oscillator has finished
+    nodes[0].onended = () => {
+      stages.forEach(node => node.disconnect());
+    };
+
+    return nodes;
+  }
+
+  /**
+   * Play an FM patch
+   *
+   * Each operator is an oscillator → level gain. A carrier's level is its
+   * amp envelope and feeds the output; a modulator's level is its index
+   * envelope, scaled to Hertz of deviation, and feeds its target's frequency.
+   *
+   * @param {Object} patch - FM patch data (see FMSynth.js)
+   * @param {number|string} pitch - Pitch of the note in Hertz, or a note name
+   * @param {number} duration - Seconds the note is held before its release
+   * @param {Object} options
+   * @param {number} options.startTime - Audio time to start at (defaults to now)
+   * @param {number} options.velocity - How hard the note is played, 0.0 to 1.0
+   * @returns {Array<OscillatorNode>} - The operators' oscillators
    */
-  playThickTone(frequency, duration) {
+  playFM(patch, pitch, duration, { startTime = this.context.currentTime, velocity = 1 } = {}) {
     const ctx = this.context;
-    const masterGain = ctx.createGain();
-    
-    // Create three oscillators at slightly different frequencies
-    const oscillators = [
-      { freq: frequency, detune: -10, type: 'sine', volume: 0.3 },
-      { freq: frequency, detune: 0, type: 'sine', volume: 0.4 },
-      { freq: frequency, detune: 10, type: 'sine', volume: 0.3 }
-    ];
-    
-    oscillators.forEach(config => {
+    const frequency = toFrequency(pitch);
+    const { operators, gain } = normalizeFMPatch(patch);
+
+    const output = ctx.createGain();
+    output.gain.setValueAtTime(gain * velocity, startTime);
+    output.connect(this.output);
+
+    const voices = operators.map(op => {
       const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-      
-      osc.frequency.setValueAtTime(config.freq, ctx.currentTime);
-      osc.detune.setValueAtTime(config.detune, ctx.currentTime);
-      osc.type = config.type;
-      
-      gain.gain.setValueAtTime(config.volume, ctx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration);
-      
-      osc.connect(gain);
-      gain.connect(masterGain);
-      
-      osc.start(ctx.currentTime);
-      osc.stop(ctx.currentTime + duration);
+      const level = ctx.createGain();
+
+      applyWaveform(osc, op.waveform, op.harmonics);
+      osc.frequency.setValueAtTime(frequency * op.ratio, startTime);
+      osc.detune.setValueAtTime(op.detune, startTime);
+      osc.connect(level);
+      return { osc, level };
+    });
+
+    let stopTime = startTime + duration;
+    operators.forEach((op, i) => {
+      const { level } = voices[i];
+      const envelope = resolveEnvelope(op.envelope, duration);
+
+      // Deviation in Hertz = index × modulator frequency
+      const peak = op.target === undefined ? op.volume : op.index * frequency * op.ratio;
+      stopTime = Math.max(stopTime, scheduleEnvelope(level.gain, envelope, peak, startTime, duration));
+
+      level.connect(op.target === undefined ? output : voices[op.target].osc.frequency);
+    });
+
+    voices.forEach(({ osc }) => {
+      osc.start(startTime);
+      osc.stop(stopTime);
     });
-    
-    masterGain.connect(ctx.destination);
-    masterGain.gain.setValueAtTime(0.5, ctx.currentTime);
+
+    voices[0].osc.onended = () => {
+      voices.forEach(({ level }) => level.disconnect());
+      output.disconnect();
+    };
+
+    return voices.map(({ osc }) => osc);
+  }
+
+  /**
+   * Create a "thick" sound by stacking detuned oscillators
+   * This creates a chorus/unison effect
+   */
+  playThickTone(pitch, duration, options = {}) {
+    return this.playPatch(PATCH_PRESETS.thickTone, pitch, duration, options);
   }
 
   /**
    * Apply a lowpass filter with frequency sweep
    * Creates a "wow" or "closing" effect
    */
-  playFilteredSound(frequency, duration) {
-    const ctx = this.context;
-    const osc = ctx.createOscillator();
-    const filter = ctx.createBiquadFilter();
-    const gain = ctx.createGain();
-    
-    // Create a lowpass filter (removes high frequencies)
-    filter.type = 'lowpass';
-    filter.frequency.setValueAtTime(1000, ctx.currentTime);
-    filter.Q.setValueAtTime(5, ctx.currentTime); // Resonance
-    
-    // Sweep the filter frequency for a "wow" effect
-    filter.frequency.exponentialRampToValueAtTime(
-      100,
-      ctx.currentTime + duration
-    );
-    
-    // Audio graph: oscillator → filter → gain → destination
-    osc.connect(filter);
-    filter.connect(gain);
-    gain.connect(ctx.destination);
-    
-    osc.type = 'sawtooth';
-    osc.frequency.setValueAtTime(frequency, ctx.currentTime);
-    
-    gain.gain.setValueAtTime(0.4, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration);
-    
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + duration);
+  playFilteredSound(pitch, duration, options = {}) {
+    return this.playPatch(PATCH_PRESETS.filteredSound, pitch, duration, options);
   }
 
   /**
    * Create a resonant filter sweep (acid bass style)
    */
-  playResonantSweep(frequency, duration) {
+  playResonantSweep(pitch, duration, options = {}) {
+    return this.playPatch(PATCH_PRESETS.resonantSweep, pitch, duration, options);
+  }
+
+  /**
+   * Apply highpass filter (thin, telephone-like sound)
+   */
+  playHighpassSound(pitch, duration, options = {}) {
+    return this.playPatch(PATCH_PRESETS.highpassSound, pitch, duration, options);
+  }
+
+  /**
+   * Create a bell-like sound using multiple harmonics
+   */
+  playBell(pitch, duration, options = {}) {
+    return this.playPatch(PATCH_PRESETS.bell, pitch, duration, options);
+  }
+
+  /**
+   * Noise burst (useful for percussion/explosions)
+   *
+   * Plays from a noise buffer shared by every burst on this context, so
+   * rapid hits don't allocate. Without an envelope the burst decays
+   * exponentially over its duration; with one, `duration` is how long it
+   * is held before the release.
+   *
+   * @param {number} duration - Length in seconds
+   * @param {Object} options
+   * @param {string} options.color - 'white', 'pink' or 'brown'
+   * @param {Object|null} options.filter - { type, frequency, Q }, or null for unfiltered
+   * @param {Object} options.envelope - { attack, decay, sustain, release, curve }
+   * @param {number} options.volume - Peak level, 0.0 to 1.0
+   * @param {number} options.startTime - Audio time to start at (defaults to now)
+   * @returns {AudioBufferSourceNode} - The noise source (for stopping early)
+   */
+  playNoiseBurst(duration, options = {}) {
     const ctx = this.context;
-    const osc = ctx.createOscillator();
-    const filter = ctx.createBiquadFilter();
+    const {
+      color = 'white',
+      filter = NOISE_FILTER,
+      envelope,
+      volume = 0.5,
+      startTime = ctx.currentTime
+    } = options;
+
+    const source = createNoiseSource(ctx, color);
     const gain = ctx.createGain();
-    
-    filter.type = 'lowpass';
-    filter.Q.setValueAtTime(15, ctx.currentTime); // High resonance
-    
-    // Sweep up then down
-    filter.frequency.setValueAtTime(200, ctx.currentTime);
-    filter.frequency.exponentialRampToValueAtTime(2000, ctx.currentTime + duration / 2);
-    filter.frequency.exponentialRampToValueAtTime(200, ctx.currentTime + duration);
-    
-    osc.connect(filter);
-    filter.connect(gain);
-    gain.connect(ctx.destination);
-    
-    osc.type = 'sawtooth';
-    osc.frequency.setValueAtTime(frequency, ctx.currentTime);
-    
-    gain.gain.setValueAtTime(0.3, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration);
-    
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + duration);
+
+    const stages = [source];
+    if (filter) {
+      // Shape the noise - bandpass by default
+      const biquad = ctx.createBiquadFilter();
+      biquad.type = filter.type ?? NOISE_FILTER.type;
+      biquad.frequency.setValueAtTime(filter.frequency ?? NOISE_FILTER.frequency, startTime);
+      biquad.Q.setValueAtTime(filter.Q ?? NOISE_FILTER.Q, startTime);
+      stages.push(biquad);
+    }
+    stages.push(gain, this.output);
+
+    for (let i = 0; i < stages.length - 1; i++) {
+      stages[i].connect(stages[i + 1]);
+    }
+
+    let stopTime = startTime + duration;
+    if (envelope) {
+      stopTime = scheduleEnvelope(gain.gain, envelope, volume, startTime, duration);
+    } else {
+      // Quick attack, exponential decay
+      gain.gain.setValueAtTime(volume, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.01, stopTime);
+    }
+
+    startNoise(source, startTime, stopTime);
+    source.onended = () => stages.slice(0, -1).forEach(node => node.disconnect());
+    return source;
   }
 
   /**
-   * Apply highpass filter (thin, telephone-like sound)
+   * Load AudioWorklet processors ahead of time
+   *
+   * Optional - each one otherwise loads the first time it is used, which
+   * delays that first sound slightly.
+   *
+   * @param {Array<string>} names - WORKLET_MODULES names (defaults to all)
+   * @returns {Promise<Object>} - Name → whether it loaded (false means a fallback is used)
+   */
+  async loadWorklets(names = Object.keys(WORKLET_MODULES)) {
+    const results = await Promise.all(names.map(name => loadWorklet(this.context, name)));
+    return Object.fromEntries(names.map((name, i) => [name, results[i]]));
+  }
+
+  /**
+   * Plucked string (Karplus-Strong)
+   *
+   * Runs on the 'pluck' worklet. Without AudioWorklet the same algorithm
+   * renders into a buffer on the main thread instead - identical sound,
+   * but the work happens up front for every note.
+   *
+   * @param {number|string} pitch - Pitch in Hertz, or a note name
+   * @param {number} duration - Seconds before the string is damped
+   * @param {Object} options
+   * @param {number} options.startTime - Audio time to pluck at (defaults to now, once loaded)
+   * @param {number} options.volume - 0.0 to 1.0
+   * @param {number} options.damping - 0 (rings for seconds) to 1 (dead thud)
+   * @param {number} options.brightness - 0 (mellow) to 1 (bright)
+   * @returns {Promise<AudioNode>} - The string's source node
    */
-  playHighpassSound(frequency, duration) {
+  async playPluck(pitch, duration, options = {}) {
     const ctx = this.context;
-    const osc = ctx.createOscillator();
-    const filter = ctx.createBiquadFilter();
+    const frequency = toFrequency(pitch);
+    const worklet = await loadWorklet(ctx, 'pluck');
+    const { startTime = ctx.currentTime, volume = 0.5, damping = 0.5, brightness = 0.5 } = options;
+    const stopTime = startTime + duration + PLUCK_RELEASE;
+
     const gain = ctx.createGain();
-    
-    filter.type = 'highpass';
-    filter.frequency.setValueAtTime(800, ctx.currentTime);
-    filter.Q.setValueAtTime(3, ctx.currentTime);
-    
-    osc.connect(filter);
-    filter.connect(gain);
-    gain.connect(ctx.destination);
-    
-    osc.type = 'square';
-    osc.frequency.setValueAtTime(frequency, ctx.currentTime);
-    
-    gain.gain.setValueAtTime(0.3, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration);
-    
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + duration);
+    gain.gain.setValueAtTime(volume, startTime);
+    gain.gain.setValueAtTime(volume, startTime + duration);
+    gain.gain.linearRampToValueAtTime(0, stopTime);
+    gain.connect(this.output);
+
+    let source;
+    if (worklet) {
+      source = new AudioWorkletNode(ctx, 'pluck', {
+        numberOfInputs: 0,
+        outputChannelCount: [1],
+        processorOptions: { frequency, damping, brightness, startTime, stopTime }
+      });
+      source.port.onmessage = ({ data }) => {
+        if (data === 'ended') {
+          source.disconnect();
+          gain.disconnect();
+        }
+      };
+    } else {
+      const string = new KarplusStrong(ctx.sampleRate, frequency, { damping, brightness });
+      const buffer = ctx.createBuffer(1, Math.ceil((stopTime - startTime) * ctx.sampleRate), ctx.sampleRate);
+      const data = buffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = string.next();
+      }
+
+      source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.start(startTime);
+      source.onended = () => gain.disconnect();
+    }
+
+    source.connect(gain);
+    return source;
   }
 
   /**
-   * Create a bell-like sound using multiple harmonics
+   * Create a bitcrusher effect (bit depth and sample rate reduction)
+   *
+   * Connect sounds to its `input` and its output onward, or add it to an
+   * EffectsChain. Without AudioWorklet only the bit depth is reduced.
+   *
+   * @param {number} bits - Bit depth, 1 to 16
+   * @param {number} rate - Sample rate to reduce to, in Hertz
+   * @param {Object} options - Other Bitcrusher options (e.g. mix)
+   * @returns {Promise<Bitcrusher>}
+   */
+  async createBitcrusher(bits = 8, rate = 8000, options = {}) {
+    const worklet = await loadWorklet(this.context, 'bitcrusher');
+    return new Bitcrusher(this.context, { ...options, bits, rate, worklet });
+  }
+
+  /**
+   * Create a sample-and-hold random modulator
+   *
+   * Works like an LFO: `connect(param)`, then `start()`. Without AudioWorklet
+   * it is an LFO with the 'sampleAndHold' shape (no smoothing).
+   *
+   * @param {Object} options - { rate, depth, smoothing }
+   * @returns {Promise<RandomModulator|LFO>}
+   */
+  async createSampleAndHold(options = {}) {
+    const worklet = await loadWorklet(this.context, 'sample-and-hold');
+    return worklet
+      ? new RandomModulator(this.context, options)
+      : new LFO(this.context, { ...options, shape: 'sampleAndHold' });
+  }
+
+  /**
+   * Play a procedural sound effect (see SfxGenerator.js)
+   *
+   *   tone (oscillator or noise) + noise → (filter) → envelope → output
+   *
+   * @param {Object} params - From generateSfx(), mutateSfx() or parseSfx()
+   * @param {Object} options
+   * @param {number} options.startTime - Audio time to start at (defaults to now)
+   * @param {number} options.volume - Multiplies the sound's own volume
+   * @returns {Array<AudioScheduledSourceNode>} - The sources (for stopping early)
    */
-  playBell(frequency, duration) {
+  playSfx(params, { startTime = this.context.currentTime, volume = 1 } = {}) {
     const ctx = this.context;
-    const masterGain = ctx.createGain();
-    
-    // Bell harmonics (not strictly harmonic - gives metallic quality)
-    const partials = [
-      { freq: frequency * 1, volume: 0.5, decay: duration },
-      { freq: frequency * 2.4, volume: 0.3, decay: duration * 0.7 },
-      { freq: frequency * 3.8, volume: 0.2, decay: duration * 0.5 },
-      { freq: frequency * 5.2, volume: 0.15, decay: duration * 0.3 }
-    ];
-    
-    partials.forEach(partial => {
-      const osc = ctx.createOscillator();
+    const sfx = normalizeSfx(params);
+    const { attack, sustain, punch, decay } = sfx.envelope;
+    const stopTime = startTime + sfxDuration(sfx);
+
+    // Envelope: rise, jump up by the punch and settle back, then fade out
+    const peak = sfx.volume * volume;
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(0, startTime);
+    envelope.gain.linearRampToValueAtTime(peak, startTime + attack);
+    envelope.gain.setValueAtTime(peak * (1 + punch), startTime + attack);
+    envelope.gain.linearRampToValueAtTime(peak, startTime + attack + sustain);
+    envelope.gain.linearRampToValueAtTime(0, stopTime);
+    envelope.connect(this.output);
+    const stages = [envelope];
+
+    let input = envelope;
+    if (sfx.filter) {
+      const { type, frequency, sweep, Q } = sfx.filter;
+      const filter = ctx.createBiquadFilter();
+      filter.type = type;
+      filter.Q.setValueAtTime(Q, startTime);
+      filter.frequency.setValueAtTime(frequency, startTime);
+      if (sweep) {
+        const target = Math.min(Math.max(frequency * Math.pow(2, sweep * (stopTime - startTime)), 20), 20000);
+        filter.frequency.exponentialRampToValueAtTime(target, stopTime);
+      }
+      filter.connect(input);
+      input = filter;
+      stages.push(filter);
+    }
+
+    const sources = [];
+    const addSource = (source, level) => {
       const gain = ctx.createGain();
-      
-      osc.frequency.setValueAtTime(partial.freq, ctx.currentTime);
-      osc.type = 'sine';
-      
-      gain.gain.setValueAtTime(partial.volume, ctx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + partial.decay);
-      
-      osc.connect(gain);
-      gain.connect(masterGain);
-      
-      osc.start(ctx.currentTime);
-      osc.stop(ctx.currentTime + duration);
+      gain.gain.setValueAtTime(level, startTime);
+      source.connect(gain);
+      gain.connect(input);
+      stages.push(gain);
+      sources.push(source);
+    };
+
+    let tone;
+    if (sfx.wave === 'noise') {
+      // Pitch is playback speed: the same automation, scaled to a rate
+      tone = createNoiseSource(ctx, 'white');
+      this.scheduleSfxPitch(tone.playbackRate, sfx, startTime, stopTime, 1 / SFX_NOISE_PITCH);
+      addSource(tone, 1);
+    } else {
+      tone = ctx.createOscillator();
+      if (sfx.wave === 'square') {
+        tone.setPeriodicWave(createWavetable(ctx, pulseHarmonics(sfx.duty)));
+      } else {
+        tone.type = sfx.wave;
+      }
+      this.scheduleSfxPitch(tone.frequency, sfx, startTime, stopTime);
+      addSource(tone, 1 - sfx.noise);
+
+      if (sfx.noise > 0) {
+        addSource(createNoiseSource(ctx, 'white'), sfx.noise);
+      }
+    }
+
+    // Arpeggio jumps go on detune, so they stack with the slide
+    if (sfx.arpeggio) {
+      const cents = 1200 * Math.log2(sfx.arpeggio.ratio);
+      const period = sfx.repeat > 0 ? sfx.repeat : stopTime - startTime;
+      for (let time = startTime; time < stopTime; time += period) {
+        tone.detune.setValueAtTime(0, time);
+        if (sfx.arpeggio.time < period) {
+          tone.detune.setValueAtTime(cents, time + sfx.arpeggio.time);
+        }
+      }
+    }
+
+    let vibrato = null;
+    if (sfx.vibrato && sfx.vibrato.depth > 0) {
+      vibrato = new LFO(ctx, { rate: sfx.vibrato.rate, depth: sfx.vibrato.depth }).connect(tone.detune);
+      vibrato.start(startTime);
+      vibrato.stop(stopTime);
+    }
+
+    sources.forEach(source => {
+      if (source === tone && sfx.wave !== 'noise') {
+        source.start(startTime);
+        source.stop(stopTime);
+      } else {
+        startNoise(source, startTime, stopTime);
+      }
     });
-    
-    masterGain.connect(ctx.destination);
-    masterGain.gain.setValueAtTime(0.6, ctx.currentTime);
+    sources[0].onended = () => stages.forEach(node => node.disconnect());
+
+    return sources;
   }
 
   /**
-   * White noise burst (useful for percussion/explosions)
+   * Schedule a sound effect's pitch: slide (stopping at minFrequency),
+   * restarted every `repeat` seconds
+   *
+   * @param {AudioParam} param - Frequency (or playback rate, with `scale`)
+   * @param {Object} sfx - Normalized parameters
+   * @param {number} scale - Multiplier from Hertz to the param's units
    */
-  playNoiseBurst(duration) {
-    const ctx = this.context;
-    const bufferSize = ctx.sampleRate * duration;
-    const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-    const data = buffer.getChannelData(0);
-    
-    // Fill with random values (white noise)
-    for (let i = 0; i < bufferSize; i++) {
-      data[i] = Math.random() * 2 - 1;
+  scheduleSfxPitch(param, { frequency, slide, minFrequency, repeat }, startTime, stopTime, scale = 1) {
+    const period = repeat > 0 ? repeat : stopTime - startTime;
+
+    for (let time = startTime; time < stopTime; time += period) {
+      const end = Math.min(time + period, stopTime);
+      param.setValueAtTime(frequency * scale, time);
+      if (!slide) continue;
+
+      let target = frequency * Math.pow(2, slide * (end - time));
+      let reached = end;
+      if (slide < 0 && target < minFrequency) {
+        // Stop falling at the floor and hold there
+        target = Math.min(minFrequency, frequency);
+        reached = time + Math.log2(target / frequency) / slide;
+      }
+      param.exponentialRampToValueAtTime(Math.min(target, 20000) * scale, Math.max(reached, time + 0.001));
     }
-    
-    const source = ctx.createBufferSource();
-    const filter = ctx.createBiquadFilter();
-    const gain = ctx.createGain();
-    
-    // Shape the noise with a bandpass filter
-    filter.type = 'bandpass';
-    filter.frequency.setValueAtTime(500, ctx.currentTime);
-    filter.Q.setValueAtTime(2, ctx.currentTime);
-    
-    source.buffer = buffer;
-    source.connect(filter);
-    filter.connect(gain);
-    gain.connect(ctx.destination);
-    
-    // Quick attack, exponential decay
-    gain.gain.setValueAtTime(0.5, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration);
-    
-    source.start(ctx.currentTime);
   }
 }
@@ -0,0 +1,199 @@
+/**
+ * Synthesized Drum Kit
+ *
+ * Every voice is built from oscillators and shared noise buffers (see
+ * 06-utilities/Noise.js), so a full kit ships without a single sample file:
+ * - kick: a sine swept quickly down in pitch - the sweep is the "thump"
+ * - snare: a short tone for the drum head plus bright noise for the wires
+ * - closedHat / openHat: highpassed noise, short or ringing; a closed hat
+ *   chokes an open one that is still ringing, as on a real hi-hat
+ * - clap: a few noise bursts in quick succession, then a short tail
+ * - lowTom / midTom / highTom: pitch-swept sines with a longer body
+ *
+ * Voices take an exact audio start time, so they can be scheduled ahead
+ * by a StepSequencer or any other lookahead clock.
+ */
+
+import { createNoiseSource, startNoise } from '../06-utilities/Noise.js';
+import { MIN_GAIN } from '../06-utilities/Envelope.js';
+
+export const DRUM_VOICES = ['kick', 'snare', 'closedHat', 'openHat', 'clap', 'lowTom', 'midTom', 'highTom'];
+
+const TOM_PITCHES = { lowTom: 90, midTom: 130, highTom: 180 };
+
+export class DrumKit {
+  /**
+   * @param {BaseAudioContext} audioContext - Context to play into
+   * @param {AudioNode} destination - Where the kit is heard (defaults to the speakers)
+   */
+  constructor(audioContext, destination = audioContext.destination) {
+    this.context = audioContext;
+
+    this.output = audioContext.createGain();
+    this.output.connect(destination);
+
+    // The open hat that a closed hat would cut off
+    this.ringingHat = null;
+  }
+
+  /**
+   * Play a voice by name
+   *
+   * @param {string} voice - One of DRUM_VOICES
+   * @param {number} time - Audio time to play at (defaults to now)
+   * @param {number} velocity - How hard the drum is hit, 0.0 to 1.0
+   * @returns {Array<AudioScheduledSourceNode>} - The sources started
+   */
+  play(voice, time = this.context.currentTime, velocity = 1) {
+    if (!DRUM_VOICES.includes(voice)) {
+      throw new Error(`Unknown drum voice "${voice}" (use ${DRUM_VOICES.join(', ')})`);
+    }
+    if (voice in TOM_PITCHES) {
+      return this.tom(time, velocity, TOM_PITCHES[voice]);
+    }
+    return this[voice](time, velocity);
+  }
+
+  kick(time = this.context.currentTime, velocity = 1) {
+    const osc = this.context.createOscillator();
+    const gain = this.context.createGain();
+
+    // Harder hits start a little higher, for more click
+    osc.frequency.setValueAtTime(120 + 60 * velocity, time);
+    osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+    gain.gain.setValueAtTime(velocity, time);
+    gain.gain.exponentialRampToValueAtTime(MIN_GAIN, time + 0.45);
+
+    return [this.voice(osc, gain, time, time + 0.45)];
+  }
+
+  snare(time = this.context.currentTime, velocity = 1) {
+    const body = this.context.createOscillator();
+    const bodyGain = this.context.createGain();
+    body.type = 'triangle';
+    body.frequency.setValueAtTime(190, time);
+    body.frequency.exponentialRampToValueAtTime(160, time + 0.1);
+    bodyGain.gain.setValueAtTime(0.5 * velocity, time);
+    bodyGain.gain.exponentialRampToValueAtTime(MIN_GAIN, time + 0.1);
+
+    const wires = this.noise(time, 0.2, 0.6 * velocity, { type: 'highpass', frequency: 1500 });
+    return [this.voice(body, bodyGain, time, time + 0.1), wires.source];
+  }
+
+  closedHat(time = this.context.currentTime, velocity = 1) {
+    this.chokeHat(time);
+    const hat = this.noise(time, 0.05, 0.35 * velocity, { type: 'highpass', frequency: 7000 });
+    return [hat.source];
+  }
+
+  openHat(time = this.context.currentTime, velocity = 1) {
+    this.chokeHat(time);
+    const hat = this.noise(time, 0.4, 0.3 * velocity, { type: 'highpass', frequency: 7000 });
+    this.ringingHat = { ...hat, time, endTime: time + 0.4 };
+    return [hat.source];
+  }
+
+  clap(time = this.context.currentTime, velocity = 1) {
+    const { source, gain } = this.noise(time, 0.25, 0, { type: 'bandpass', frequency: 1200, Q: 1.5 });
+    const level = 0.8 * velocity;
+
+    // Three quick slaps (several hands, slightly out of time), then the tail
+    [0, 0.01, 0.02].forEach(offset => {
+      gain.gain.setValueAtTime(level, time + offset);
+      gain.gain.exponentialRampToValueAtTime(level * 0.2, time + offset + 0.009);
+    });
+    gain.gain.setValueAtTime(level, time + 0.03);
+    gain.gain.exponentialRampToValueAtTime(MIN_GAIN, time + 0.25);
+
+    return [source];
+  }
+
+  /**
+   * A tom at any pitch (the named toms are low, mid and high presets)
+   *
+   * @param {number} time - Audio time to play at
+   * @param {number} velocity - How hard the drum is hit, 0.0 to 1.0
+   * @param {number} frequency - Pitch the drum settles to, in Hertz
+   */
+  tom(time = this.context.currentTime, velocity = 1, frequency = TOM_PITCHES.midTom) {
+    const osc = this.context.createOscillator();
+    const gain = this.context.createGain();
+
+    osc.frequency.setValueAtTime(frequency * 1.6, time);
+    osc.frequency.exponentialRampToValueAtTime(frequency, time + 0.08);
+    gain.gain.setValueAtTime(0.8 * velocity, time);
+    gain.gain.exponentialRampToValueAtTime(MIN_GAIN, time + 0.5);
+
+    return [this.voice(osc, gain, time, time + 0.5)];
+  }
+
+  /**
+   * Cut off a ringing open hat at `time`
+   */
+  chokeHat(time) {
+    const hat = this.ringingHat;
+    if (!hat || time <= hat.time || time >= hat.endTime) return;
+
+    // A separate gain stage, so the hat's own envelope doesn't need unpicking
+    hat.choke.gain.setValueAtTime(1, time);
+    hat.choke.gain.setTargetAtTime(0, time, 0.005);
+    hat.source.stop(time + 0.05);
+    this.ringingHat = null;
+  }
+
+  /**
+   * Start an oscillator through its envelope gain and clean up after it
+   */
+  voice(osc, gain, startTime, stopTime) {
+    osc.connect(gain);
+    gain.connect(this.output);
+    osc.start(startTime);
+    osc.stop(stopTime);
+    osc.onended = () => gain.disconnect();
+    return osc;
+  }
+
+  /**
+   * Noise through a filter, falling exponentially from `volume` (a volume
+   * of 0 leaves the gain for the caller to shape)
+   *
+   * source → filter → gain → choke → output
+   */
+  noise(time, duration, volume, { type, frequency, Q = 1 }) {
+    const ctx = this.context;
+    const source = createNoiseSource(ctx, 'white');
+    const filter = ctx.createBiquadFilter();
+    const gain = ctx.createGain();
+    const choke = ctx.createGain();
+
+    filter.type = type;
+    filter.frequency.setValueAtTime(frequency, time);
+    filter.Q.setValueAtTime(Q, time);
+    if (volume > 0) {
+      gain.gain.setValueAtTime(volume, time);
+      gain.gain.exponentialRampToValueAtTime(MIN_GAIN, time + duration);
+    }
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(choke);
+    choke.connect(this.output);
+
+    startNoise(source, time, time + duration);
+    source.onended = () => {
+      filter.disconnect();
+      gain.disconnect();
+      choke.disconnect();
+    };
+    return { source, gain, choke };
+  }
+
+  /**
+   * Set the level of the whole kit
+   *
+   * @param {number} volume - 0.0 to 1.0
+   */
+  setVolume(volume) {
+    this.output.gain.setTargetAtTime(volume, this.context.currentTime, 0.01);
+  }
+}
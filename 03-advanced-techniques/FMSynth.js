@@ -0,0 +1,128 @@
+/**
+ * FM Patches
+ *
+ * Frequency modulation: one oscillator (the modulator) wobbles another's
+ * frequency (the carrier) at audio rate, creating sidebands - new partials
+ * spaced by the modulator's frequency. A handful of oscillators gives
+ * timbres additive synthesis would need dozens of partials for.
+ *
+ * A patch has 2-4 operators. Each operator is an oscillator with:
+ * - ratio: frequency multiple of the played note (integers sound harmonic,
+ *   anything else metallic or bell-like)
+ * - detune: offset in cents
+ * - waveform / harmonics: as in Patches.js (usually 'sine')
+ * - envelope: ADSR, optionally `relative` to the note length (see Patches.js)
+ * - target: index of the operator it modulates; leave it out for a carrier,
+ *   which is heard directly
+ * - index (modulators): modulation index - peak deviation as a multiple of
+ *   the modulator's frequency. Higher is brighter. The envelope shapes it
+ *   over time, which is what makes FM sounds evolve.
+ * - volume (carriers): output level, 0.0 to 1.0
+ *
+ * Several modulators may share a target, and modulators can be stacked
+ * (3 → 2 → 1 → output). Loops are not allowed.
+ *
+ * Patches are JSON-compatible, like the ones in Patches.js.
+ */
+
+import { resolveHarmonics } from './Patches.js';
+
+const MAX_OPERATORS = 4;
+
+/**
+ * Built-in presets
+ */
+export const FM_PRESETS = {
+  // DX7-style electric piano: a mellow body plus a short, bright "tine"
+  electricPiano: {
+    operators: [
+      { ratio: 1, volume: 0.35, envelope: { attack: 0.002, decay: 1.8, sustain: 0, release: 0.3, curve: 'exponential' } },
+      { ratio: 1, target: 0, index: 1.2, envelope: { attack: 0.002, decay: 0.9, sustain: 0.1, release: 0.3, curve: 'exponential' } },
+      { ratio: 1, detune: 4, volume: 0.2, envelope: { attack: 0.002, decay: 0.8, sustain: 0, release: 0.2, curve: 'exponential' } },
+      { ratio: 14, target: 2, index: 0.6, envelope: { attack: 0.001, decay: 0.12, sustain: 0, release: 0.05, curve: 'exponential' } }
+    ],
+    gain: 0.8
+  },
+
+  // The index rises and falls with the level, so it brightens as it swells
+  brass: {
+    operators: [
+      { ratio: 1, volume: 0.35, envelope: { attack: 0.06, decay: 0.2, sustain: 0.8, release: 0.15 } },
+      { ratio: 1, target: 0, index: 3.5, envelope: { attack: 0.08, decay: 0.25, sustain: 0.6, release: 0.15 } }
+    ],
+    gain: 0.8
+  },
+
+  // Inharmonic stack with a fast-falling index - a struck metal bar
+  metallicHit: {
+    operators: [
+      { ratio: 1, volume: 0.4, envelope: { attack: 0.001, decay: 1.5, sustain: 0, release: 0.2, curve: 'exponential' } },
+      { ratio: 3.5, target: 0, index: 5, envelope: { attack: 0.001, decay: 0.8, sustain: 0, release: 0.2, curve: 'exponential' } },
+      { ratio: 1.41, target: 1, index: 2, envelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.1, curve: 'exponential' } }
+    ],
+    gain: 0.7
+  },
+
+  // Punchy bass: a big index burst at the start that settles quickly
+  bass: {
+    operators: [
+      { ratio: 1, volume: 0.5, envelope: { attack: 0.004, decay: 0.6, sustain: 0.5, release: 0.1 } },
+      { ratio: 1, target: 0, index: 4, envelope: { attack: 0.002, decay: 0.2, sustain: 0.15, release: 0.1, curve: 'exponential' } },
+      { ratio: 0.5, volume: 0.3, envelope: { attack: 0.004, decay: 0.6, sustain: 0.6, release: 0.1 } }
+    ],
+    gain: 0.9
+  }
+};
+
+/**
+ * Check an FM patch and fill in defaults
+ *
+ * @param {Object} patch - Patch to check
+ * @returns {Object} - A complete copy of the patch
+ * @throws {Error} - If the patch can't be played
+ */
+export function normalizeFMPatch(patch) {
+  const operators = patch && patch.operators;
+  if (!Array.isArray(operators) || operators.length < 2 || operators.length > MAX_OPERATORS) {
+    throw new Error(`FM patch needs 2 to ${MAX_OPERATORS} operators`);
+  }
+
+  const normalized = operators.map((op, i) => {
+    const isModulator = op.target !== undefined;
+    if (isModulator && (!Number.isInteger(op.target) || op.target < 0 || op.target >= operators.length || op.target === i)) {
+      throw new Error(`FM operator ${i} has an invalid target ${op.target}`);
+    }
+    if (op.ratio !== undefined && !(op.ratio > 0)) {
+      throw new Error(`FM operator ${i} needs a positive ratio`);
+    }
+
+    const waveform = op.waveform ?? 'sine';
+    return {
+      ratio: op.ratio ?? 1,
+      detune: op.detune ?? 0,
+      waveform,
+      ...(waveform === 'custom' && { harmonics: resolveHarmonics(op.harmonics, `FM operator ${i}`) }),
+      envelope: { ...op.envelope },
+      ...(isModulator ? { target: op.target, index: op.index ?? 1 } : { volume: op.volume ?? 0.3 })
+    };
+  });
+
+  if (!normalized.some(op => op.target === undefined)) {
+    throw new Error('FM patch needs at least one carrier (an operator without a target)');
+  }
+
+  // Following targets from any operator must reach a carrier
+  normalized.forEach((op, i) => {
+    const seen = new Set([i]);
+    let next = op.target;
+    while (next !== undefined) {
+      if (seen.has(next)) {
+        throw new Error(`FM operator ${i} is part of a modulation loop`);
+      }
+      seen.add(next);
+      next = normalized[next].target;
+    }
+  });
+
+  return { operators: normalized, gain: patch.gain ?? 1 };
+}
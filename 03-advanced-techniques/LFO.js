@@ -0,0 +1,163 @@
+/**
+ * Low-Frequency Oscillators
+ *
+ * An LFO is a slow control signal added to an AudioParam:
+ * - Oscillator frequency or detune → vibrato
+ * - Gain → tremolo
+ * - BiquadFilterNode frequency → wah/wobble
+ *
+ * Audio-rate connections into an AudioParam add to its own value, so the
+ * param swings `depth` units either side of wherever it is set (Hertz for
+ * frequency, cents for detune, gain units for gain).
+ *
+ * Works with any graph:
+ *
+ *   const lfo = new LFO(ctx, { shape: 'triangle', rate: 6, depth: 20, delay: 0.3, fadeIn: 0.5 });
+ *   lfo.connect(osc.detune).start();
+ */
+
+export const LFO_SHAPES = ['sine', 'triangle', 'square', 'sampleAndHold'];
+
+// Sample-and-hold is played from a looping buffer of random steps
+const HOLD_STEPS = 64;
+const HOLD_STEP_LENGTH = 256;
+
+export class LFO {
+  /**
+   * @param {BaseAudioContext} audioContext - Context to run in
+   * @param {Object} options
+   * @param {string} options.shape - 'sine', 'triangle', 'square' or 'sampleAndHold'
+   * @param {number} options.rate - Cycles (or random steps) per second
+   * @param {number} options.depth - How far either side of its value the param moves
+   * @param {number} options.delay - Seconds after start before the LFO kicks in
+   * @param {number} options.fadeIn - Seconds to ramp from no modulation to full depth
+   * @param {Function} options.random - Source of randomness for sample-and-hold
+   */
+  constructor(audioContext, {
+    shape = 'sine',
+    rate = 5,
+    depth = 1,
+    delay = 0,
+    fadeIn = 0,
+    random = Math.random
+  } = {}) {
+    if (!LFO_SHAPES.includes(shape)) {
+      throw new Error(`Unknown LFO shape "${shape}" (use ${LFO_SHAPES.join(', ')})`);
+    }
+
+    this.context = audioContext;
+    this.shape = shape;
+    this.rate = rate;
+    this.depth = depth;
+    this.delay = delay;
+    this.fadeIn = fadeIn;
+
+    this.source = shape === 'sampleAndHold'
+      ? this.createSampleAndHold(random)
+      : this.createOscillator();
+
+    // Depth lives on a gain stage so it can be delayed and faded in
+    this.output = audioContext.createGain();
+    this.output.gain.value = 0;
+    this.source.connect(this.output);
+  }
+
+  createOscillator() {
+    const osc = this.context.createOscillator();
+    osc.type = this.shape;
+    osc.frequency.value = this.rate;
+    return osc;
+  }
+
+  createSampleAndHold(random) {
+    const { sampleRate } = this.context;
+    const buffer = this.context.createBuffer(1, HOLD_STEPS * HOLD_STEP_LENGTH, sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let step = 0; step < HOLD_STEPS; step++) {
+      data.fill(random() * 2 - 1, step * HOLD_STEP_LENGTH, (step + 1) * HOLD_STEP_LENGTH);
+    }
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.playbackRate.value = this.playbackRateFor(this.rate);
+    return source;
+  }
+
+  // Playback speed that makes the buffer step `rate` times a second
+  playbackRateFor(rate) {
+    return rate * HOLD_STEP_LENGTH / this.context.sampleRate;
+  }
+
+  /**
+   * Modulate an AudioParam (can be called for several params)
+   *
+   * @param {AudioParam} param - Param to modulate
+   * @returns {LFO} - This LFO (for chaining)
+   */
+  connect(param) {
+    this.output.connect(param);
+    return this;
+  }
+
+  /**
+   * Stop modulating everything this LFO is connected to
+   */
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /**
+   * Start the LFO, with its delay and fade-in counted from `time`
+   *
+   * @param {number} time - Audio time to start at (defaults to now)
+   * @returns {LFO} - This LFO (for chaining)
+   */
+  start(time = this.context.currentTime) {
+    const depth = this.output.gain;
+    const onset = time + this.delay;
+
+    depth.setValueAtTime(0, time);
+    if (this.fadeIn > 0) {
+      depth.setValueAtTime(0, onset);
+      depth.linearRampToValueAtTime(this.depth, onset + this.fadeIn);
+    } else {
+      depth.setValueAtTime(this.depth, onset);
+    }
+
+    this.source.start(time);
+    return this;
+  }
+
+  /**
+   * Stop the LFO and release its nodes once it has finished
+   *
+   * @param {number} time - Audio time to stop at (defaults to now)
+   */
+  stop(time = this.context.currentTime) {
+    this.source.stop(time);
+    this.source.onended = () => {
+      this.source.disconnect();
+      this.output.disconnect();
+    };
+  }
+
+  /**
+   * Change the rate, gliding over `glide` seconds
+   */
+  setRate(rate, time = this.context.currentTime, glide = 0.05) {
+    this.rate = rate;
+    const param = this.shape === 'sampleAndHold' ? this.source.playbackRate : this.source.frequency;
+    const value = this.shape === 'sampleAndHold' ? this.playbackRateFor(rate) : rate;
+    param.setTargetAtTime(value, time, glide / 3);
+  }
+
+  /**
+   * Change the depth, gliding over `glide` seconds
+   */
+  setDepth(depth, time = this.context.currentTime, glide = 0.05) {
+    this.depth = depth;
+    this.output.gain.setTargetAtTime(depth, time, glide / 3);
+  }
+}
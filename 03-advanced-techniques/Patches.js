@@ -0,0 +1,224 @@
+/**
+ * Synth Patches
+ *
+ * A patch describes a sound as plain data instead of a hand-built node
+ * graph. AdvancedAudio.playPatch() turns it into:
+ *
+ *   oscillators → (filter) → output gain → destination
+ *
+ * Patch fields:
+ * - oscillators: one or more of
+ *   - waveform: 'sine', 'square', 'sawtooth', 'triangle' or 'custom'
+ *   - harmonics: for 'custom', harmonic amplitudes ([1, 0.5, ...]) or the
+ *     name of one of Wavetables.js's HARMONIC_PRESETS
+ *   - ratio: frequency multiple of the played note (1 = the note itself)
+ *   - detune: offset in cents
+ *   - volume: 0.0 to 1.0
+ *   - envelope: optional fields overriding the amp envelope for this oscillator
+ * - filter: optional
+ *   - type: any BiquadFilter type ('lowpass', 'highpass', 'bandpass', ...)
+ *   - frequency: cutoff in Hertz
+ *   - Q: resonance
+ *   - envelope: optional cutoff envelope, sweeping the cutoff from
+ *     `frequency` up to `frequency + amount` Hertz at its peak (and to
+ *     `frequency + amount * sustain` while held); an exponential curve
+ *     sweeps in even octaves
+ * - envelope: amp envelope { attack, decay, sustain, release, curve }
+ * - gain: output level, 0.0 to 1.0
+ *
+ * Envelopes are the ADSR shape from 06-utilities/Envelope.js. Times are in
+ * seconds, or fractions of the note's duration when `relative` is true -
+ * for sounds that stretch to whatever length they're played at.
+ *
+ * Patches are JSON-compatible, so they can be stored as asset files and
+ * read back with parsePatch().
+ */
+
+import { HARMONIC_PRESETS } from './Wavetables.js';
+
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'];
+const WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle', 'custom'];
+
+// Falls exponentially over the whole note (about 30 dB), like a struck sound
+const FADE_OUT = { attack: 0, decay: 1, sustain: 0.03, release: 0, curve: 'exponential', relative: true };
+
+/**
+ * Built-in presets
+ *
+ * The sounds behind AdvancedAudio's play* methods.
+ */
+export const PATCH_PRESETS = {
+  // Three detuned sines for a chorus/unison effect
+  thickTone: {
+    oscillators: [
+      { waveform: 'sine', detune: -10, volume: 0.3 },
+      { waveform: 'sine', detune: 0, volume: 0.4 },
+      { waveform: 'sine', detune: 10, volume: 0.3 }
+    ],
+    envelope: FADE_OUT,
+    gain: 0.5
+  },
+
+  // Resonant lowpass closing from 1000 Hz down to 100 Hz - a "wow"
+  filteredSound: {
+    oscillators: [{ waveform: 'sawtooth', volume: 0.4 }],
+    filter: {
+      type: 'lowpass',
+      frequency: 100,
+      Q: 5,
+      envelope: { amount: 900, ...FADE_OUT, sustain: 0 }
+    },
+    envelope: FADE_OUT,
+    gain: 1
+  },
+
+  // Acid bass: a high-resonance lowpass sweeping up and back down
+  resonantSweep: {
+    oscillators: [{ waveform: 'sawtooth', volume: 0.3 }],
+    filter: {
+      type: 'lowpass',
+      frequency: 200,
+      Q: 15,
+      envelope: { amount: 1800, attack: 0.5, decay: 0.5, sustain: 0, release: 0, curve: 'exponential', relative: true }
+    },
+    envelope: FADE_OUT,
+    gain: 1
+  },
+
+  // Thin, telephone-like square wave
+  highpassSound: {
+    oscillators: [{ waveform: 'square', volume: 0.3 }],
+    filter: { type: 'highpass', frequency: 800, Q: 3 },
+    envelope: FADE_OUT,
+    gain: 1
+  },
+
+  // Inharmonic partials that die away at different rates - metallic
+  bell: {
+    oscillators: [
+      { waveform: 'sine', ratio: 1, volume: 0.5 },
+      { waveform: 'sine', ratio: 2.4, volume: 0.3, envelope: { decay: 0.7 } },
+      { waveform: 'sine', ratio: 3.8, volume: 0.2, envelope: { decay: 0.5 } },
+      { waveform: 'sine', ratio: 5.2, volume: 0.15, envelope: { decay: 0.3 } }
+    ],
+    envelope: FADE_OUT,
+    gain: 0.6
+  },
+
+  // Drawbar organ from a custom harmonic series, held while the note lasts
+  organ: {
+    oscillators: [{ waveform: 'custom', harmonics: 'organ', volume: 0.3 }],
+    envelope: { attack: 0.01, decay: 0.05, sustain: 0.9, release: 0.08 },
+    gain: 0.8
+  }
+};
+
+/**
+ * Check a patch and fill in defaults
+ *
+ * @param {Object} patch - Patch to check
+ * @returns {Object} - A complete copy of the patch
+ * @throws {Error} - If the patch can't be played
+ */
+export function normalizePatch(patch) {
+  if (!patch || !Array.isArray(patch.oscillators) || patch.oscillators.length === 0) {
+    throw new Error('Patch needs at least one oscillator');
+  }
+
+  const oscillators = patch.oscillators.map((osc, i) => {
+    const waveform = osc.waveform ?? 'sine';
+    if (!WAVEFORMS.includes(waveform)) {
+      throw new Error(`Patch oscillator ${i} has unknown waveform "${waveform}"`);
+    }
+    if (osc.ratio !== undefined && !(osc.ratio > 0)) {
+      throw new Error(`Patch oscillator ${i} needs a positive ratio`);
+    }
+    const harmonics = waveform === 'custom' ? resolveHarmonics(osc.harmonics, `Patch oscillator ${i}`) : undefined;
+    return {
+      waveform,
+      ...(harmonics && { harmonics }),
+      ratio: osc.ratio ?? 1,
+      detune: osc.detune ?? 0,
+      volume: osc.volume ?? 0.3,
+      ...(osc.envelope && { envelope: { ...osc.envelope } })
+    };
+  });
+
+  let filter = null;
+  if (patch.filter) {
+    const type = patch.filter.type ?? 'lowpass';
+    if (!FILTER_TYPES.includes(type)) {
+      throw new Error(`Patch filter has unknown type "${type}"`);
+    }
+    if (!(patch.filter.frequency > 0)) {
+      throw new Error('Patch filter needs a positive frequency');
+    }
+    filter = {
+      type,
+      frequency: patch.filter.frequency,
+      Q: patch.filter.Q ?? 1,
+      ...(patch.filter.envelope && { envelope: { ...patch.filter.envelope } })
+    };
+  }
+
+  return {
+    oscillators,
+    filter,
+    envelope: { ...patch.envelope },
+    gain: patch.gain ?? 1
+  };
+}
+
+/**
+ * Look up a harmonic series by preset name, or check an explicit one
+ *
+ * @param {Array<number>|string} harmonics - Amplitudes or a HARMONIC_PRESETS name
+ * @param {string} owner - What the series belongs to, for error messages
+ * @returns {Array<number>} - The amplitudes
+ */
+export function resolveHarmonics(harmonics, owner) {
+  const series = typeof harmonics === 'string' ? HARMONIC_PRESETS[harmonics] : harmonics;
+  if (!Array.isArray(series) || series.length === 0 || !series.every(Number.isFinite)) {
+    throw new Error(`${owner} needs harmonics: an array of amplitudes or one of ${Object.keys(HARMONIC_PRESETS).join(', ')}`);
+  }
+  return [...series];
+}
+
+/**
+ * Read a patch stored as JSON
+ *
+ * @param {string|Object} json - JSON text, or an already-parsed object
+ * @returns {Object} - The checked, complete patch
+ */
+export function parsePatch(json) {
+  return normalizePatch(typeof json === 'string' ? JSON.parse(json) : json);
+}
+
+/**
+ * Write a patch as JSON for storage
+ *
+ * @param {Object} patch - Patch to save
+ * @returns {string} - JSON text that parsePatch() reads back
+ */
+export function stringifyPatch(patch) {
+  return JSON.stringify(normalizePatch(patch), null, 2);
+}
+
+/**
+ * Turn a patch envelope into one Envelope.js can schedule
+ *
+ * @param {Object} envelope - Patch envelope (possibly relative)
+ * @param {number} duration - Length of the note in seconds
+ * @returns {Object} - Envelope with times in seconds
+ */
+export function resolveEnvelope(envelope, duration) {
+  const { relative, amount, ...adsr } = envelope;
+  if (!relative) return adsr;
+
+  ['attack', 'decay', 'release'].forEach(stage => {
+    if (adsr[stage] !== undefined) {
+      adsr[stage] *= duration;
+    }
+  });
+  return adsr;
+}
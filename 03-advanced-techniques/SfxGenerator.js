@@ -0,0 +1,321 @@
+/**
+ * Procedural Sound Effects
+ *
+ * Retro game sounds in the style of sfxr: each category (coin, jump, laser,
+ * ...) is a recipe of random ranges, and a seed picks one point in them.
+ * The same category and seed always give the same sound, so a sound found
+ * by clicking "generate" until something fits can be kept as just its JSON.
+ * AdvancedAudio.playSfx() plays the result.
+ *
+ * Parameters:
+ * - wave: 'square', 'sawtooth', 'sine', 'triangle' or 'noise'
+ * - duty: pulse width of the square wave, 0.05 (thin, nasal) to 0.5 (square)
+ * - frequency: starting pitch in Hertz (for noise, how fast it's played -
+ *   lower is darker and rumblier)
+ * - slide: pitch change in octaves per second (negative falls)
+ * - minFrequency: a falling slide stops here
+ * - arpeggio: { time, ratio } - jump in pitch by `ratio` after `time` seconds
+ * - vibrato: { rate, depth } - in Hertz and cents
+ * - repeat: seconds - restart the slide and arpeggio this often (0 = never)
+ * - noise: 0 to 1 - how much noise is mixed in with the tone
+ * - envelope: { attack, sustain, punch, decay } - seconds, except punch:
+ *   an extra 0 to 1 of level at the start of the sustain that falls away
+ * - filter: { type, frequency, sweep, Q } - lowpass or highpass, with the
+ *   cutoff sweeping by `sweep` octaves per second
+ * - volume: 0.0 to 1.0
+ *
+ * Generated sounds also record where they came from: category, seed and
+ * the seeds of any mutations.
+ */
+
+import { SeededRandom, randomSeed } from '../06-utilities/SeededRandom.js';
+
+export const SFX_VERSION = 1;
+
+export const SFX_WAVES = ['square', 'sawtooth', 'sine', 'triangle', 'noise'];
+
+const FILTER_TYPES = ['lowpass', 'highpass'];
+
+/**
+ * Category recipes: each draws a full parameter set from a SeededRandom
+ */
+const RECIPES = {
+  // Bright blip that jumps up - the classic pickup
+  coin(rng) {
+    return {
+      wave: rng.pick(['square', 'sawtooth']),
+      duty: rng.range(0.25, 0.5),
+      frequency: rng.range(700, 1500),
+      arpeggio: { time: rng.range(0.04, 0.1), ratio: rng.range(1.25, 1.7) },
+      envelope: { attack: 0, sustain: rng.range(0.02, 0.08), punch: rng.range(0.3, 0.6), decay: rng.range(0.1, 0.35) }
+    };
+  },
+
+  // Quick upward sweep
+  jump(rng) {
+    return {
+      wave: 'square',
+      duty: rng.range(0.2, 0.5),
+      frequency: rng.range(250, 600),
+      slide: rng.range(1.5, 4),
+      envelope: { attack: 0, sustain: rng.range(0.05, 0.15), punch: 0, decay: rng.range(0.1, 0.25) },
+      filter: rng.next() < 0.5 ? { type: 'lowpass', frequency: rng.range(1500, 5000), sweep: 0, Q: 1 } : null
+    };
+  },
+
+  // Fast fall from high up, sometimes wobbling
+  laser(rng) {
+    return {
+      wave: rng.pick(['square', 'sawtooth', 'sine']),
+      duty: rng.range(0.05, 0.5),
+      frequency: rng.range(500, 2000),
+      slide: -rng.range(2, 8),
+      minFrequency: rng.range(50, 200),
+      vibrato: rng.next() < 0.3 ? { rate: rng.range(10, 30), depth: rng.range(20, 100) } : null,
+      envelope: { attack: 0, sustain: rng.range(0.05, 0.15), punch: rng.range(0, 0.3), decay: rng.range(0.05, 0.25) },
+      filter: rng.next() < 0.3 ? { type: 'highpass', frequency: rng.range(100, 600), sweep: 0, Q: 1 } : null
+    };
+  },
+
+  // Noise that sinks and darkens as it dies away
+  explosion(rng) {
+    return {
+      wave: 'noise',
+      frequency: rng.range(200, 900),
+      slide: rng.next() < 0.8 ? -rng.range(0.3, 1.5) : rng.range(0, 0.5),
+      minFrequency: 40,
+      repeat: rng.next() < 0.2 ? rng.range(0.1, 0.3) : 0,
+      vibrato: rng.next() < 0.3 ? { rate: rng.range(5, 20), depth: rng.range(50, 300) } : null,
+      envelope: { attack: 0, sustain: rng.range(0.1, 0.35), punch: rng.range(0.2, 0.6), decay: rng.range(0.3, 0.8) },
+      filter: rng.next() < 0.5 ? { type: 'lowpass', frequency: rng.range(1500, 6000), sweep: -rng.range(0.5, 2), Q: 1 } : null
+    };
+  },
+
+  // Rising tone, either repeating or with vibrato
+  powerUp(rng) {
+    const repeats = rng.next() < 0.5;
+    return {
+      wave: rng.pick(['square', 'sine', 'triangle']),
+      duty: rng.range(0.3, 0.5),
+      frequency: rng.range(250, 600),
+      slide: rng.range(1, 4),
+      repeat: repeats ? rng.range(0.08, 0.2) : 0,
+      vibrato: repeats ? null : { rate: rng.range(6, 15), depth: rng.range(20, 60) },
+      envelope: { attack: 0, sustain: rng.range(0.1, 0.3), punch: 0, decay: rng.range(0.1, 0.4) }
+    };
+  },
+
+  // Short, rough drop
+  hurt(rng) {
+    const wave = rng.pick(['square', 'sawtooth', 'noise']);
+    return {
+      wave,
+      duty: rng.range(0.1, 0.5),
+      frequency: rng.range(150, 600),
+      slide: -rng.range(2, 6),
+      minFrequency: 40,
+      noise: wave === 'noise' ? 0 : rng.range(0.2, 0.6),
+      envelope: { attack: 0, sustain: rng.range(0.02, 0.1), punch: rng.range(0.1, 0.4), decay: rng.range(0.1, 0.25) },
+      filter: rng.next() < 0.5 ? { type: 'highpass', frequency: rng.range(100, 500), sweep: 0, Q: 1 } : null
+    };
+  }
+};
+
+export const SFX_CATEGORIES = Object.keys(RECIPES);
+
+/**
+ * Generate a sound effect
+ *
+ * @param {string} category - One of SFX_CATEGORIES
+ * @param {number} seed - 32-bit seed (defaults to a random one)
+ * @returns {Object} - Complete, JSON-compatible parameters
+ */
+export function generateSfx(category, seed = randomSeed()) {
+  const recipe = RECIPES[category];
+  if (!recipe) {
+    throw new Error(`Unknown sound effect category "${category}" (use ${SFX_CATEGORIES.join(', ')})`);
+  }
+  const rng = new SeededRandom(seed);
+  return normalizeSfx({ ...recipe(rng), category, seed: rng.seed, mutations: [] });
+}
+
+/**
+ * Make a slightly different version of a sound
+ *
+ * @param {Object} params - Sound to start from
+ * @param {number} seed - 32-bit seed (defaults to a random one)
+ * @param {number} amount - How far to move: 0 (not at all) to 1 (a lot)
+ * @returns {Object} - New parameters, with the seed added to `mutations`
+ */
+export function mutateSfx(params, seed = randomSeed(), amount = 0.1) {
+  const sfx = normalizeSfx(params);
+  const rng = new SeededRandom(seed);
+
+  // Times and frequencies move by a ratio, everything else by a step
+  const scale = value => value * Math.pow(2, rng.range(-amount, amount));
+  const nudge = (value, step, min, max) => clamp(value + rng.range(-step, step) * amount, min, max);
+
+  const { envelope, arpeggio, vibrato, filter } = sfx;
+  return normalizeSfx({
+    ...sfx,
+    duty: nudge(sfx.duty, 0.5, 0.05, 0.5),
+    frequency: scale(sfx.frequency),
+    slide: nudge(sfx.slide, 4, -20, 20),
+    noise: sfx.wave === 'noise' ? 0 : nudge(sfx.noise, 1, 0, 1),
+    repeat: sfx.repeat > 0 ? scale(sfx.repeat) : 0,
+    arpeggio: arpeggio && { time: scale(arpeggio.time), ratio: Math.max(scale(arpeggio.ratio), 0.25) },
+    vibrato: vibrato && { rate: scale(vibrato.rate), depth: scale(vibrato.depth) },
+    envelope: {
+      attack: envelope.attack > 0 ? scale(envelope.attack) : 0,
+      sustain: scale(envelope.sustain),
+      punch: nudge(envelope.punch, 1, 0, 1),
+      decay: scale(envelope.decay)
+    },
+    filter: filter && { ...filter, frequency: scale(filter.frequency), sweep: nudge(filter.sweep, 4, -10, 10) },
+    mutations: [...sfx.mutations, rng.seed]
+  });
+}
+
+/**
+ * Check sound effect parameters and fill in defaults
+ *
+ * Numbers are rounded so the JSON stays readable; the rounding is part of
+ * the sound, so a parsed sound plays exactly like the one that was saved.
+ *
+ * @param {Object} params - Parameters to check
+ * @returns {Object} - A complete copy
+ * @throws {Error} - If the sound can't be played
+ */
+export function normalizeSfx(params) {
+  if (!params || typeof params !== 'object') {
+    throw new Error('Sound effect parameters must be an object');
+  }
+  if (params.version !== undefined && params.version !== SFX_VERSION) {
+    throw new Error(`Unsupported sound effect version ${params.version} (expected ${SFX_VERSION})`);
+  }
+
+  const wave = params.wave ?? 'square';
+  if (!SFX_WAVES.includes(wave)) {
+    throw new Error(`Unknown sound effect wave "${wave}" (use ${SFX_WAVES.join(', ')})`);
+  }
+  if (!(Number.isFinite(params.frequency) && params.frequency > 0)) {
+    throw new Error('Sound effect needs a positive frequency');
+  }
+  if (params.mutations != null && !Array.isArray(params.mutations)) {
+    throw new Error('Sound effect mutations must be an array of seeds');
+  }
+
+  const envelope = {
+    attack: round(Math.max(numberField(params.envelope?.attack, 0, 'envelope attack'), 0)),
+    sustain: round(Math.max(numberField(params.envelope?.sustain, 0.1, 'envelope sustain'), 0)),
+    punch: round(clamp(numberField(params.envelope?.punch, 0, 'envelope punch'), 0, 1)),
+    decay: round(Math.max(numberField(params.envelope?.decay, 0.2, 'envelope decay'), 0))
+  };
+  if (envelope.attack + envelope.sustain + envelope.decay <= 0) {
+    throw new Error('Sound effect envelope has no length');
+  }
+
+  let filter = null;
+  if (params.filter) {
+    const type = params.filter.type ?? 'lowpass';
+    if (!FILTER_TYPES.includes(type)) {
+      throw new Error(`Sound effect filter has unknown type "${type}" (use ${FILTER_TYPES.join(', ')})`);
+    }
+    if (!(Number.isFinite(params.filter.frequency) && params.filter.frequency > 0)) {
+      throw new Error('Sound effect filter needs a positive frequency');
+    }
+    filter = {
+      type,
+      frequency: round(params.filter.frequency),
+      sweep: round(numberField(params.filter.sweep, 0, 'filter sweep')),
+      Q: round(numberField(params.filter.Q, 1, 'filter Q'))
+    };
+  }
+
+  const { arpeggio, vibrato } = params;
+  if (arpeggio && !(Number.isFinite(arpeggio.time) && arpeggio.time >= 0 && Number.isFinite(arpeggio.ratio) && arpeggio.ratio > 0)) {
+    throw new Error('Sound effect arpeggio needs a time and a positive ratio');
+  }
+  if (vibrato && !(Number.isFinite(vibrato.rate) && vibrato.rate >= 0 && Number.isFinite(vibrato.depth) && vibrato.depth >= 0)) {
+    throw new Error('Sound effect vibrato needs a rate and a depth');
+  }
+
+  return {
+    version: SFX_VERSION,
+    ...(params.category !== undefined && { category: params.category }),
+    ...(params.seed !== undefined && { seed: params.seed }),
+    mutations: [...(params.mutations ?? [])],
+    wave,
+    duty: round(clamp(numberField(params.duty, 0.5, 'duty'), 0.05, 0.5)),
+    frequency: round(params.frequency),
+    slide: round(numberField(params.slide, 0, 'slide')),
+    minFrequency: round(numberField(params.minFrequency, 20, 'minFrequency')),
+    arpeggio: arpeggio ? { time: round(arpeggio.time), ratio: round(arpeggio.ratio) } : null,
+    vibrato: vibrato ? { rate: round(vibrato.rate), depth: round(vibrato.depth) } : null,
+    repeat: round(Math.max(numberField(params.repeat, 0, 'repeat'), 0)),
+    noise: round(clamp(numberField(params.noise, 0, 'noise'), 0, 1)),
+    envelope,
+    filter,
+    volume: round(clamp(numberField(params.volume, 0.5, 'volume'), 0, 1))
+  };
+}
+
+/**
+ * Read sound effect parameters stored as JSON
+ *
+ * @param {string|Object} json - JSON text, or an already-parsed object
+ * @returns {Object} - The checked, complete parameters
+ */
+export function parseSfx(json) {
+  return normalizeSfx(typeof json === 'string' ? JSON.parse(json) : json);
+}
+
+/**
+ * Write sound effect parameters as JSON for storage
+ *
+ * @param {Object} params - Parameters to save
+ * @returns {string} - JSON text that parseSfx() reads back
+ */
+export function stringifySfx(params) {
+  return JSON.stringify(normalizeSfx(params), null, 2);
+}
+
+/**
+ * Harmonic amplitudes of a pulse wave with the given duty cycle
+ *
+ * A pulse's nth harmonic has amplitude sin(nπ·duty)/n. The phases differ
+ * from a true pulse (these are sine terms), but the ear hears the same
+ * timbre - thinner and more nasal as the duty shrinks.
+ *
+ * @param {number} duty - 0.05 to 0.5
+ * @param {number} count - Number of harmonics
+ * @returns {Array<number>} - Amplitudes for Wavetables.js
+ */
+export function pulseHarmonics(duty, count = 32) {
+  return Array.from({ length: count }, (_, i) => round(Math.sin((i + 1) * Math.PI * duty) / (i + 1), 4));
+}
+
+/**
+ * Total length of a sound effect in seconds
+ */
+export function sfxDuration({ envelope }) {
+  return envelope.attack + envelope.sustain + envelope.decay;
+}
+
+// An optional numeric field: the default if it's missing (or null),
+// otherwise a finite number - pasted JSON can hold anything
+function numberField(value, fallback, field) {
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isFinite(value)) {
+    throw new Error(`Sound effect ${field} must be a number`);
+  }
+  return value;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function round(value, digits = 3) {
+  return Number(value.toFixed(digits));
+}
@@ -0,0 +1,282 @@
+/**
+ * Step Sequencer
+ *
+ * Drum-machine style patterns: each track is a row of steps, and each step
+ * is either a rest or a hit with a velocity. Steps are scheduled against
+ * AudioContext.currentTime with a LookaheadClock, so timing stays tight
+ * however busy the page gets.
+ *
+ * A pattern:
+ *
+ *   {
+ *     steps: 16,                     // Optional - defaults to the longest track
+ *     tracks: {
+ *       kick:  'X...x...X...x...',   // X = accent, x = normal hit, . = rest
+ *       snare: [0, 0, 0, 0, 1, 0, 0, 0.3, 0, 0, 0, 0, 1, 0, 0, 0]   // Velocities
+ *     }
+ *   }
+ *
+ * Patterns are added by name and played in a chain (['intro', 'beat',
+ * 'beat', 'fill']) that can loop. Track names are passed straight to the
+ * playStep callback, so with a DrumKit they are its voice names:
+ *
+ *   const sequencer = new StepSequencer(ctx, (track, time, velocity) => kit.play(track, time, velocity));
+ */
+
+import { LookaheadClock } from '../06-utilities/Scheduler.js';
+
+// Velocities for the characters of a string track
+const STEP_CHARACTERS = { X: 1, x: 0.6, o: 0.3, '.': 0, '-': 0 };
+
+// Beyond this the off-beats land on the next step
+const MAX_SWING = 0.9;
+
+/**
+ * Check a pattern and turn every track into an array of velocities
+ *
+ * @param {Object} pattern - Pattern to check
+ * @returns {Object} - { steps, tracks } with numeric tracks
+ * @throws {Error} - If the pattern can't be played
+ */
+export function normalizePattern(pattern) {
+  if (!pattern || typeof pattern.tracks !== 'object' || Object.keys(pattern.tracks).length === 0) {
+    throw new Error('Pattern needs at least one track');
+  }
+
+  const tracks = {};
+  Object.entries(pattern.tracks).forEach(([name, track]) => {
+    const steps = typeof track === 'string' ? [...track.replace(/\s/g, '')] : track;
+    if (!Array.isArray(steps)) {
+      throw new Error(`Pattern track "${name}" must be a string or an array of velocities`);
+    }
+
+    tracks[name] = steps.map((step, i) => {
+      const velocity = typeof step === 'string' ? STEP_CHARACTERS[step] : (step || 0);
+      if (!(velocity >= 0 && velocity <= 1)) {
+        throw new Error(`Pattern track "${name}" has an invalid step ${i}: ${JSON.stringify(step)}`);
+      }
+      return velocity;
+    });
+  });
+
+  const steps = pattern.steps ?? Math.max(...Object.values(tracks).map(track => track.length));
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('Pattern needs a positive whole number of steps');
+  }
+  return { steps, tracks };
+}
+
+export class StepSequencer {
+  /**
+   * @param {BaseAudioContext} audioContext - Context whose clock drives the sequencer
+   * @param {Function} playStep - (track, startTime, velocity) => source node(s) it started
+   * @param {Object} options
+   * @param {number} options.tempo - Beats per minute
+   * @param {number} options.stepsPerBeat - 4 for sixteenth notes
+   * @param {number} options.swing - How late off-beat steps land, as a fraction
+   *                                 of a step (0 straight, about 0.33 for a triplet feel)
+   * @param {Function} options.onStep - (pattern name, step, startTime) for each step
+   *                                    scheduled, e.g. to light up a UI in time
+   * @param {Object} options.clock - LookaheadClock options
+   */
+  constructor(audioContext, playStep, {
+    tempo = 120,
+    stepsPerBeat = 4,
+    swing = 0,
+    onStep = null,
+    clock = {}
+  } = {}) {
+    this.context = audioContext;
+    this.playStep = playStep;
+    this.tempo = tempo;
+    this.stepsPerBeat = stepsPerBeat;
+    this.swing = Math.min(Math.max(swing, 0), MAX_SWING);
+    this.onStep = onStep;
+    this.clock = new LookaheadClock(audioContext, clock);
+
+    this.patterns = new Map();
+    this.chain = [];
+    this.loop = true;
+    this.queuedChain = null;
+
+    // Playback position
+    this.chainIndex = 0;
+    this.step = 0;
+    this.nextStepTime = 0;
+
+    // Sources scheduled but not yet started, so stop() can drop them
+    this.pending = new Set();
+  }
+
+  get stepDuration() {
+    return 60 / this.tempo / this.stepsPerBeat;
+  }
+
+  get isPlaying() {
+    return this.clock.isRunning;
+  }
+
+  /**
+   * Add (or replace) a named pattern
+   *
+   * @param {string} name - Name to chain it by
+   * @param {Object} pattern - See the top of this file
+   * @returns {StepSequencer} - This sequencer (for chaining)
+   */
+  addPattern(name, pattern) {
+    this.patterns.set(name, normalizePattern(pattern));
+    return this;
+  }
+
+  /**
+   * Choose the patterns to play, in order
+   *
+   * While playing, the new chain takes over once the current pattern ends.
+   *
+   * @param {Array<string>|string} names - Pattern names (repeats allowed)
+   * @param {Object} options
+   * @param {boolean} options.loop - Go back to the start after the last pattern
+   * @returns {StepSequencer} - This sequencer (for chaining)
+   */
+  setChain(names, { loop = true } = {}) {
+    const chain = [].concat(names);
+    if (chain.length === 0) {
+      throw new Error('Pattern chain needs at least one pattern');
+    }
+    chain.forEach(name => {
+      if (!this.patterns.has(name)) {
+        throw new Error(`Unknown pattern "${name}"`);
+      }
+    });
+
+    if (this.isPlaying) {
+      this.queuedChain = { chain, loop };
+    } else {
+      this.chain = chain;
+      this.loop = loop;
+    }
+    return this;
+  }
+
+  /**
+   * Start playing the chain from the top
+   *
+   * @param {number} when - Audio time of the first step (defaults to now)
+   * @returns {StepSequencer} - This sequencer (for stopping later)
+   */
+  start(when = this.context.currentTime) {
+    if (this.queuedChain) {
+      ({ chain: this.chain, loop: this.loop } = this.queuedChain);
+      this.queuedChain = null;
+    }
+    if (this.chain.length === 0) {
+      throw new Error('Set a pattern chain before starting the sequencer');
+    }
+
+    this.chainIndex = -1;
+    this.step = 0;
+    this.nextStepTime = when;
+    this.clock.start(until => this.scheduleUntil(until));
+    return this;
+  }
+
+  /**
+   * Stop: steps already sounding ring out, steps not yet heard are dropped
+   */
+  stop() {
+    this.clock.stop();
+
+    const now = this.context.currentTime;
+    this.pending.forEach(({ source, time }) => {
+      if (time > now) {
+        source.stop(now);
+      }
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Change the tempo from the next step on
+   */
+  setTempo(tempo) {
+    this.tempo = tempo;
+  }
+
+  /**
+   * Change the swing from the next step on
+   */
+  setSwing(swing) {
+    this.swing = Math.min(Math.max(swing, 0), MAX_SWING);
+  }
+
+  /**
+   * Schedule every step due before the given audio time
+   *
+   * @returns {boolean} - Whether there is more to play
+   */
+  scheduleUntil(until) {
+    while (this.nextStepTime < until) {
+      if (this.step === 0 && !this.nextPattern()) return false;
+      this.scheduleStep(this.chain[this.chainIndex], this.nextStepTime);
+    }
+    return true;
+  }
+
+  /**
+   * Move to the next pattern in the chain, or into a newly set chain
+   *
+   * @returns {boolean} - False once a non-looping chain has finished
+   */
+  nextPattern() {
+    if (this.queuedChain) {
+      ({ chain: this.chain, loop: this.loop } = this.queuedChain);
+      this.queuedChain = null;
+      this.chainIndex = 0;
+      return true;
+    }
+
+    this.chainIndex++;
+    if (this.chainIndex >= this.chain.length) {
+      if (!this.loop) return false;
+      this.chainIndex = 0;
+    }
+    return true;
+  }
+
+  /**
+   * Play one step of a pattern and move on to the next
+   */
+  scheduleStep(name, gridTime) {
+    const { steps, tracks } = this.patterns.get(name);
+
+    // Swing pushes every other step late without moving the grid; counting
+    // within the pattern keeps each pattern's downbeats on the beat, even
+    // after one with an odd number of steps
+    const swung = this.step % 2 === 1 ? this.swing * this.stepDuration : 0;
+    const time = Math.max(gridTime + swung, this.context.currentTime);
+
+    Object.entries(tracks).forEach(([track, velocities]) => {
+      const velocity = velocities[this.step] || 0;
+      if (velocity > 0) {
+        this.track(this.playStep(track, time, velocity), time);
+      }
+    });
+    if (this.onStep) {
+      this.onStep(name, this.step, time);
+    }
+
+    this.nextStepTime += this.stepDuration;
+    this.step = (this.step + 1) % steps;
+  }
+
+  /**
+   * Remember sources until they start, so stop() can cancel them
+   */
+  track(result, time) {
+    [].concat(result || []).forEach(source => {
+      const entry = { source, time };
+      this.pending.add(entry);
+      source.addEventListener('ended', () => this.pending.delete(entry));
+    });
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Custom Waveforms
+ *
+ * Build oscillator waveforms from a list of harmonic amplitudes with
+ * createPeriodicWave: [1, 0.5, 0.33] is the fundamental at full level, the
+ * 2nd harmonic at half and the 3rd at a third. The browser turns the series
+ * into a band-limited wavetable, so even bright waves don't alias.
+ *
+ * Waves are cached per context - building one is cheap but not free, and
+ * the same few tables get used for every note.
+ */
+
+const cache = new WeakMap();
+
+/**
+ * Some useful harmonic series
+ */
+export const HARMONIC_PRESETS = {
+  // Drawbar organ: fundamental plus a few strong low harmonics
+  organ: [1, 0.8, 0.6, 0.4, 0, 0.3, 0, 0.2],
+  // Odd harmonics only - hollow, clarinet-like
+  hollow: [1, 0, 0.33, 0, 0.2, 0, 0.14, 0, 0.11],
+  // Gentle rolloff - between a sine and a sawtooth
+  soft: [1, 0.3, 0.1, 0.03],
+  // Strong upper harmonics - nasal and buzzy
+  reed: [0.6, 0.9, 1, 0.7, 0.5, 0.35, 0.2, 0.1]
+};
+
+/**
+ * Get a PeriodicWave for a harmonic series
+ *
+ * @param {BaseAudioContext} audioContext - Context the oscillator lives in
+ * @param {Array<number>} harmonics - Amplitudes, starting at the fundamental
+ * @returns {PeriodicWave} - Wave for OscillatorNode.setPeriodicWave()
+ */
+export function createWavetable(audioContext, harmonics) {
+  if (!Array.isArray(harmonics) || harmonics.length === 0) {
+    throw new Error('A wavetable needs at least one harmonic amplitude');
+  }
+
+  let waves = cache.get(audioContext);
+  if (!waves) {
+    waves = new Map();
+    cache.set(audioContext, waves);
+  }
+
+  const key = harmonics.join(',');
+  if (!waves.has(key)) {
+    // Index 0 is the DC offset; harmonics are sine terms from index 1 up
+    const real = new Float32Array(harmonics.length + 1);
+    const imag = new Float32Array(harmonics.length + 1);
+    harmonics.forEach((amplitude, i) => {
+      imag[i + 1] = amplitude;
+    });
+    waves.set(key, audioContext.createPeriodicWave(real, imag));
+  }
+  return waves.get(key);
+}
+
+/**
+ * Give an oscillator a built-in waveform or a custom harmonic series
+ *
+ * @param {OscillatorNode} oscillator - Oscillator to set up
+ * @param {string} waveform - Built-in type, or 'custom'
+ * @param {Array<number>} harmonics - Amplitudes for 'custom'
+ */
+export function applyWaveform(oscillator, waveform, harmonics) {
+  if (waveform === 'custom') {
+    oscillator.setPeriodicWave(createWavetable(oscillator.context, harmonics));
+  } else {
+    oscillator.type = waveform;
+  }
+}
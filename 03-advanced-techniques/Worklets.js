@@ -0,0 +1,245 @@
+/**
+ * AudioWorklet Processors
+ *
+ * Stock nodes can't do everything: a plucked string needs a feedback loop
+ * shorter than the 128-sample minimum a DelayNode cycle allows, and
+ * sample-rate reduction needs to hold one sample across several. Those run
+ * as AudioWorklet processors - custom DSP on the audio thread.
+ *
+ * Each processor lives in its own module under worklets/ and is loaded the
+ * first time it is needed, once per context. Where AudioWorklet isn't
+ * available (older browsers, insecure origins) or a module fails to load,
+ * loadWorklet() resolves false and callers use a stock-node fallback.
+ */
+
+import { Effect } from '../07-effects/Effects.js';
+import { quantize } from './worklets/DSP.js';
+
+/**
+ * Registered processors: name → module URL
+ */
+export const WORKLET_MODULES = {
+  'pluck': new URL('./worklets/PluckProcessor.js', import.meta.url).href,
+  'bitcrusher': new URL('./worklets/BitcrusherProcessor.js', import.meta.url).href,
+  'sample-and-hold': new URL('./worklets/SampleAndHoldProcessor.js', import.meta.url).href
+};
+
+// Context → Map of processor name → Promise<boolean>
+const loaded = new WeakMap();
+
+const warned = new Set();
+
+function warnOnce(message) {
+  if (!warned.has(message)) {
+    warned.add(message);
+    console.warn(message);
+  }
+}
+
+/**
+ * Whether a context can run AudioWorklet processors at all
+ *
+ * @param {BaseAudioContext} audioContext - Context to check
+ * @returns {boolean}
+ */
+export function supportsWorklets(audioContext) {
+  return Boolean(audioContext.audioWorklet) && typeof AudioWorkletNode !== 'undefined';
+}
+
+/**
+ * Load a processor's module into a context (only the first call loads)
+ *
+ * @param {BaseAudioContext} audioContext - Context to load into
+ * @param {string} name - A WORKLET_MODULES name
+ * @returns {Promise<boolean>} - Whether the processor can be used
+ */
+export function loadWorklet(audioContext, name) {
+  if (!WORKLET_MODULES[name]) {
+    return Promise.reject(new Error(`Unknown worklet "${name}" (use ${Object.keys(WORKLET_MODULES).join(', ')})`));
+  }
+
+  let modules = loaded.get(audioContext);
+  if (!modules) {
+    modules = new Map();
+    loaded.set(audioContext, modules);
+  }
+
+  if (!modules.has(name)) {
+    if (!supportsWorklets(audioContext)) {
+      warnOnce('AudioWorklet is not available - using stock-node fallbacks');
+      modules.set(name, Promise.resolve(false));
+    } else {
+      modules.set(name, audioContext.audioWorklet.addModule(WORKLET_MODULES[name]).then(
+        () => true,
+        error => {
+          warnOnce(`Could not load the "${name}" worklet - using a fallback (${error.message})`);
+          return false;
+        }
+      ));
+    }
+  }
+  return modules.get(name);
+}
+
+/**
+ * Bitcrusher
+ *
+ * Bit depth and sample rate reduction as an Effect (see 07-effects), so it
+ * can go in an EffectsChain. Without AudioWorklet it falls back to a
+ * WaveShaper staircase: the bit depth still works, the rate doesn't.
+ *
+ * Create it with AdvancedAudio.createBitcrusher(), which loads the worklet
+ * first.
+ */
+export class Bitcrusher extends Effect {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effect runs in
+   * @param {Object} options
+   * @param {number} options.bits - Bit depth, 1 to 16
+   * @param {number} options.rate - Sample rate to reduce to, in Hertz
+   * @param {boolean} options.worklet - Whether the 'bitcrusher' processor is loaded
+   * @param {number} options.mix - Wet/dry balance from 0 (dry) to 1 (wet)
+   */
+  constructor(audioContext, { bits = 8, rate = 8000, worklet = false, mix = 1 } = {}) {
+    super(audioContext, { mix });
+    this.bits = bits;
+    this.rate = rate;
+    this.usesWorklet = worklet;
+
+    if (worklet) {
+      this.crusher = new AudioWorkletNode(audioContext, 'bitcrusher', {
+        parameterData: { bits, rate }
+      });
+    } else {
+      warnOnce('Bitcrusher fallback: bit depth only, sample rate reduction needs AudioWorklet');
+      this.crusher = audioContext.createWaveShaper();
+      this.crusher.curve = makeQuantizeCurve(bits);
+    }
+
+    this.input.connect(this.crusher);
+    this.crusher.connect(this.wet);
+  }
+
+  /**
+   * Change the bit depth (1 to 16)
+   */
+  setBits(bits, time = this.context.currentTime) {
+    this.bits = bits;
+    if (this.usesWorklet) {
+      this.crusher.parameters.get('bits').setValueAtTime(bits, time);
+    } else {
+      this.crusher.curve = makeQuantizeCurve(bits);
+    }
+  }
+
+  /**
+   * Change the reduced sample rate (no effect on the fallback)
+   */
+  setRate(rate, time = this.context.currentTime) {
+    this.rate = rate;
+    if (this.usesWorklet) {
+      this.crusher.parameters.get('rate').setValueAtTime(rate, time);
+    }
+  }
+}
+
+/**
+ * Staircase curve for a WaveShaper that quantizes to `bits`
+ */
+function makeQuantizeCurve(bits, samples = 65536) {
+  const curve = new Float32Array(samples);
+  for (let i = 0; i < samples; i++) {
+    curve[i] = quantize((i / (samples - 1)) * 2 - 1, bits);
+  }
+  return curve;
+}
+
+/**
+ * Random Modulator
+ *
+ * The 'sample-and-hold' processor behind the same interface as LFO.js, so
+ * either can be used wherever a modulator is expected. Create it with
+ * AdvancedAudio.createSampleAndHold(), which falls back to an LFO with the
+ * 'sampleAndHold' shape (a looped buffer of random steps) when AudioWorklet
+ * isn't available.
+ */
+export class RandomModulator {
+  /**
+   * @param {BaseAudioContext} audioContext - Context to run in
+   * @param {Object} options
+   * @param {number} options.rate - New random values per second
+   * @param {number} options.depth - How far either side of its value the param moves
+   * @param {number} options.smoothing - 0 (hard steps) to 1 (glide the whole step)
+   */
+  constructor(audioContext, { rate = 8, depth = 1, smoothing = 0 } = {}) {
+    this.context = audioContext;
+    this.rate = rate;
+    this.depth = depth;
+
+    this.source = new AudioWorkletNode(audioContext, 'sample-and-hold', {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      parameterData: { rate, smoothing }
+    });
+
+    this.output = audioContext.createGain();
+    this.output.gain.value = 0;
+    this.source.connect(this.output);
+
+    this.source.port.onmessage = ({ data }) => {
+      if (data === 'ended') {
+        this.source.disconnect();
+        this.output.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Modulate an AudioParam (can be called for several params)
+   *
+   * @param {AudioParam} param - Param to modulate
+   * @returns {RandomModulator} - This modulator (for chaining)
+   */
+  connect(param) {
+    this.output.connect(param);
+    return this;
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /**
+   * Start modulating at `time` (the processor runs from creation, silently)
+   *
+   * @returns {RandomModulator} - This modulator (for chaining)
+   */
+  start(time = this.context.currentTime) {
+    this.output.gain.setValueAtTime(this.depth, time);
+    return this;
+  }
+
+  /**
+   * Stop modulating and shut the processor down at `time`
+   */
+  stop(time = this.context.currentTime) {
+    this.output.gain.setValueAtTime(0, time);
+    this.source.port.postMessage({ stopTime: time });
+  }
+
+  /**
+   * Change the rate, gliding over `glide` seconds
+   */
+  setRate(rate, time = this.context.currentTime, glide = 0.05) {
+    this.rate = rate;
+    this.source.parameters.get('rate').setTargetAtTime(rate, time, glide / 3);
+  }
+
+  /**
+   * Change the depth, gliding over `glide` seconds
+   */
+  setDepth(depth, time = this.context.currentTime, glide = 0.05) {
+    this.depth = depth;
+    this.output.gain.setTargetAtTime(depth, time, glide / 3);
+  }
+}
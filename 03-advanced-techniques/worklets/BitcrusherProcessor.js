@@ -0,0 +1,58 @@
+/**
+ * Bitcrusher Processor
+ *
+ * Lo-fi degradation in two parts:
+ * - bits: fewer levels per sample - grainy, buzzy quantization noise
+ * - rate: a lower effective sample rate - each sample is held until the
+ *   next "tick", folding high frequencies back down as metallic aliasing
+ *
+ * Neither can be built from stock nodes: a WaveShaper can quantize, but
+ * nothing can hold a sample across several output samples.
+ */
+
+import { quantize } from './DSP.js';
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+      { name: 'rate', defaultValue: 8000, minValue: 20, maxValue: 96000, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    // Per channel: progress towards the next tick, and the held sample
+    this.phases = [];
+    this.held = [];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const bits = parameters.bits[0];
+    const step = Math.min(parameters.rate[0] / sampleRate, 1);
+
+    for (let c = 0; c < output.length; c++) {
+      const source = input[c];
+      const target = output[c];
+      let phase = this.phases[c] ?? 1;
+      let held = this.held[c] ?? 0;
+
+      for (let i = 0; i < target.length; i++) {
+        phase += step;
+        if (phase >= 1) {
+          phase -= 1;
+          held = quantize(source ? source[i] : 0, bits);
+        }
+        target[i] = held;
+      }
+
+      this.phases[c] = phase;
+      this.held[c] = held;
+    }
+    return true;
+  }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
@@ -0,0 +1,81 @@
+/**
+ * Sample-level DSP shared by the worklet processors and their main-thread
+ * fallbacks, so both paths make the same sound.
+ *
+ * Nothing here touches the Web Audio API - it only turns numbers into
+ * numbers - which is what lets it run inside an AudioWorkletGlobalScope.
+ */
+
+/**
+ * Karplus-Strong plucked string
+ *
+ * A delay line one period long, filled with noise (the pluck), feeding back
+ * into itself through a gentle lowpass. Each trip round the loop the noise
+ * loses some high end, so it settles into a decaying, string-like tone at
+ * the loop's frequency.
+ */
+export class KarplusStrong {
+  /**
+   * @param {number} sampleRate - Samples per second
+   * @param {number} frequency - Pitch in Hertz
+   * @param {Object} options
+   * @param {number} options.damping - 0 (rings for seconds) to 1 (dead thud)
+   * @param {number} options.brightness - 0 (mellow, nylon) to 1 (bright, steel)
+   * @param {Function} options.random - Noise source for the pluck
+   */
+  constructor(sampleRate, frequency, { damping = 0.5, brightness = 0.5, random = Math.random } = {}) {
+    // Weight of the previous sample in the loop filter: 0.5 is a plain
+    // two-point average (darkest), lower keeps more high end
+    this.smoothing = 0.5 - 0.4 * brightness;
+    // The filter delays the loop by `smoothing` samples, so take it off
+    this.delay = Math.max(2, sampleRate / frequency - this.smoothing);
+    // Loss per trip round the loop
+    this.feedback = 0.999 - 0.019 * damping;
+
+    this.buffer = new Float32Array(Math.ceil(this.delay) + 2);
+    this.writeIndex = 0;
+    this.previous = 0;
+
+    // Brighter plucks start from rawer noise
+    let last = 0;
+    for (let i = 0; i < this.buffer.length; i++) {
+      const white = random() * 2 - 1;
+      last = last + (white - last) * (0.3 + 0.7 * brightness);
+      this.buffer[i] = last;
+    }
+  }
+
+  /**
+   * @returns {number} - The next output sample
+   */
+  next() {
+    const { buffer } = this;
+    const size = buffer.length;
+
+    // Read `delay` samples back, interpolating between the two neighbours
+    let read = this.writeIndex - this.delay;
+    if (read < 0) read += size;
+    const index = Math.floor(read);
+    const fraction = read - index;
+    const output = buffer[index] + (buffer[(index + 1) % size] - buffer[index]) * fraction;
+
+    const filtered = (1 - this.smoothing) * output + this.smoothing * this.previous;
+    this.previous = output;
+    buffer[this.writeIndex] = filtered * this.feedback;
+    this.writeIndex = (this.writeIndex + 1) % size;
+
+    return output;
+  }
+}
+
+/**
+ * Round a sample to the nearest level a given bit depth can store
+ *
+ * @param {number} sample - -1.0 to 1.0
+ * @param {number} bits - Bit depth (fractional values blend smoothly)
+ * @returns {number} - The quantized sample
+ */
+export function quantize(sample, bits) {
+  const levels = Math.pow(2, bits - 1);
+  return Math.round(sample * levels) / levels;
+}
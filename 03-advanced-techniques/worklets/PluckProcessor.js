@@ -0,0 +1,37 @@
+/**
+ * Plucked String Processor
+ *
+ * Karplus-Strong string (see DSP.js) that plucks itself at `startTime` and
+ * shuts down at `stopTime`, both in audio time - an AudioWorkletNode can't
+ * be started and stopped the way a source node can.
+ *
+ * processorOptions: { frequency, damping, brightness, startTime, stopTime }
+ */
+
+import { KarplusStrong } from './DSP.js';
+
+class PluckProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions }) {
+    super();
+    const { frequency, damping, brightness, startTime = 0, stopTime = Infinity } = processorOptions;
+    this.string = new KarplusStrong(sampleRate, frequency, { damping, brightness });
+    this.startTime = startTime;
+    this.stopTime = stopTime;
+  }
+
+  process(inputs, outputs) {
+    if (currentTime >= this.stopTime) {
+      this.port.postMessage('ended');
+      return false;
+    }
+
+    const channel = outputs[0][0];
+    for (let i = 0; i < channel.length; i++) {
+      // Silent until the pluck, to the sample
+      channel[i] = currentTime + i / sampleRate < this.startTime ? 0 : this.string.next();
+    }
+    return true;
+  }
+}
+
+registerProcessor('pluck', PluckProcessor);
@@ -0,0 +1,67 @@
+/**
+ * Sample-and-Hold Processor
+ *
+ * A new random value between -1 and 1 `rate` times a second, held flat in
+ * between - the classic "computer thinking" burble when it moves a filter.
+ * Unlike a looped buffer of random steps it never repeats, and `rate` is
+ * an AudioParam, so it can itself be automated or modulated.
+ *
+ * Optional `smoothing` glides between values instead of jumping (0 to 1,
+ * as a fraction of each step).
+ *
+ * The main thread sends { stopTime } to shut it down.
+ */
+
+class SampleAndHoldProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'rate', defaultValue: 8, minValue: 0, maxValue: 1000, automationRate: 'a-rate' },
+      { name: 'smoothing', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.phase = 1;
+    this.target = 0;
+    this.value = 0;
+    this.stopTime = Infinity;
+    this.port.onmessage = ({ data }) => {
+      if (data && data.stopTime !== undefined) {
+        this.stopTime = data.stopTime;
+      }
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    if (currentTime >= this.stopTime) {
+      this.port.postMessage('ended');
+      return false;
+    }
+
+    const channel = outputs[0][0];
+    const rates = parameters.rate;
+    const smoothing = parameters.smoothing[0];
+
+    for (let i = 0; i < channel.length; i++) {
+      const rate = rates.length > 1 ? rates[i] : rates[0];
+      this.phase += rate / sampleRate;
+      if (this.phase >= 1) {
+        this.phase %= 1;
+        this.target = Math.random() * 2 - 1;
+      }
+
+      if (smoothing > 0) {
+        // One-pole glide that settles in about `smoothing` of a step
+        const samplesPerStep = sampleRate / Math.max(rate, 1e-3);
+        this.value += (this.target - this.value) * Math.min(1, 4 / (smoothing * samplesPerStep));
+      } else {
+        this.value = this.target;
+      }
+      channel[i] = this.value;
+    }
+    return true;
+  }
+}
+
+registerProcessor('sample-and-hold', SampleAndHoldProcessor);
@@ -2,12 +2,66 @@
  * Audio File Manager
  * 
  * Load, cache, and play audio files (MP3, OGG, WAV, etc.)
- * Demonstrates proper preloading and buffer management
+ * Demonstrates proper preloading and buffer management, with download
+ * progress for loading screens and AbortSignal cancellation
  */
 
+/**
+ * Read a response body to the end, reporting bytes received as they arrive
+ * (browsers without streaming bodies report once, at the end)
+ */
+async function readBody(response, onBytes) {
+  if (!response.body || !response.body.getReader) {
+    return response.arrayBuffer();
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onBytes(loaded);
+  }
+  
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes.buffer;
+}
+
+/**
+ * Whether a load failed because it was cancelled (the signal may have been
+ * aborted with a custom reason, so check it as well as the error)
+ */
+function wasAborted(error, signal) {
+  return Boolean(signal && signal.aborted) || (error && error.name === 'AbortError');
+}
+
+function errorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function logFailure(name, error, signal) {
+  if (wasAborted(error, signal)) {
+    console.log(`✗ Cancelled: ${name}`);
+  } else {
+    console.error(`✗ Failed to load ${name}:`, errorMessage(error));
+  }
+}
+
 export class AudioFileManager {
-  constructor() {
-    this.context = new AudioContext();
+  /**
+   * @param {BaseAudioContext} audioContext - Context to play into
+   *                                          (e.g. one shared with other managers)
+   */
+  constructor(audioContext = new AudioContext()) {
+    this.context = audioContext;
     this.buffers = new Map();
     this.masterGain = this.context.createGain();
     this.masterGain.connect(this.context.destination);
@@ -18,48 +72,136 @@ export class AudioFileManager {
    * 
    * @param {string} name - Identifier for this sound
    * @param {string} url - Path to audio file
+   * @param {Object} options - { signal, onProgress } (see fetchSound)
    * @returns {Promise<boolean>} - Success status
    */
-  async loadSound(name, url) {
+  async loadSound(name, url, options = {}) {
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
-      
-      this.buffers.set(name, audioBuffer);
-      console.log(`✓ Loaded: ${name} (${audioBuffer.duration.toFixed(2)}s)`);
+      await this.fetchSound(name, url, options);
       return true;
     } catch (error) {
-      console.error(`✗ Failed to load ${name}:`, error.message);
+      logFailure(name, error, options.signal);
       return false;
     }
   }
 
+  /**
+   * Load a single audio file, rejecting with the reason if it can't be
+   * 
+   * The body is read as a stream so progress can be reported as it
+   * arrives. Progress is measured against the Content-Length header; when
+   * the server doesn't send one, `total` and `fraction` are null until the
+   * download finishes.
+   * 
+   * @param {string} name - Identifier for this sound
+   * @param {string} url - Path to audio file
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the download (a load
+   *                                       cancelled while decoding is discarded)
+   * @param {Function} options.onProgress - Called with { name, loaded, total, fraction }
+   *                                        as bytes arrive (loaded and total in bytes)
+   * @returns {Promise<AudioBuffer>} - The decoded audio, also cached under `name`
+   */
+  async fetchSound(name, url, { signal, onProgress } = {}) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const length = Number(response.headers.get('Content-Length'));
+    const total = length > 0 ? length : null;
+    const report = loaded => {
+      if (onProgress) {
+        // A compressed response can decode to more bytes than Content-Length says
+        const fraction = total ? Math.min(1, loaded / total) : null;
+        onProgress({ name, loaded, total, fraction });
+      }
+    };
+    
+    report(0);
+    const arrayBuffer = await readBody(response, report);
+    if (onProgress && (total === null || arrayBuffer.byteLength < total)) {
+      // Without a Content-Length (or with a body that came up short) the
+      // size is only known now
+      onProgress({ name, loaded: arrayBuffer.byteLength, total: total ?? arrayBuffer.byteLength, fraction: 1 });
+    }
+    
+    const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
+    // Decoding can't be interrupted, so drop the result instead
+    signal?.throwIfAborted();
+    
+    this.buffers.set(name, audioBuffer);
+    console.log(`✓ Loaded: ${name} (${audioBuffer.duration.toFixed(2)}s)`);
+    return audioBuffer;
+  }
+
   /**
    * Preload multiple sounds at once
    * 
    * @param {Object} soundMap - Object mapping names to URLs
-   * @returns {Promise<Object>} - Results object with success/failure counts
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels every load still in flight
+   * @param {Function} options.onProgress - Called with (file, overall) as bytes arrive
+   *   and as each file finishes:
+   *   - file: { name, loaded, total, fraction } for the file that changed
+   *   - overall: { loaded, total, fraction, completed, count } across all files,
+   *     where `total` is null until every file's size is known and `fraction`
+   *     averages the files (one of unknown size counts 0 until it's done)
+   * @returns {Promise<Object>} - { total, successful, failed, results }, where
+   *   results maps each name to { status: 'loaded' | 'failed' | 'aborted', error }
+   *   with `error` the reason it didn't load
    */
-  async preloadSounds(soundMap) {
+  async preloadSounds(soundMap, { signal, onProgress } = {}) {
     const entries = Object.entries(soundMap);
-    const results = await Promise.allSettled(
-      entries.map(([name, url]) => this.loadSound(name, url))
-    );
+    const files = new Map(entries.map(([name]) => [name, { loaded: 0, total: null, fraction: 0, done: false }]));
+    
+    const report = progress => {
+      if (!onProgress) return;
+      const states = [...files.values()];
+      // A file that failed before its size was known counts what it got
+      const sizesKnown = states.every(file => file.total !== null || file.done);
+      onProgress(progress, {
+        loaded: states.reduce((sum, file) => sum + file.loaded, 0),
+        total: sizesKnown ? states.reduce((sum, file) => sum + (file.total ?? file.loaded), 0) : null,
+        fraction: states.reduce((sum, file) => sum + (file.done ? 1 : file.fraction ?? 0), 0) / (states.length || 1),
+        completed: states.filter(file => file.done).length,
+        count: states.length
+      });
+    };
+    
+    const load = async (name, url) => {
+      const file = files.get(name);
+      const track = progress => {
+        const { loaded, total, fraction } = progress;
+        Object.assign(file, { loaded, total, fraction });
+        report(progress);
+      };
+      
+      try {
+        await this.fetchSound(name, url, { signal, onProgress: track });
+        return { status: 'loaded' };
+      } catch (error) {
+        logFailure(name, error, signal);
+        return { status: wasAborted(error, signal) ? 'aborted' : 'failed', error: errorMessage(error) };
+      } finally {
+        file.done = true;
+        report({ name, loaded: file.loaded, total: file.total, fraction: file.fraction });
+      }
+    };
+    
+    const outcomes = await Promise.all(entries.map(([name, url]) => load(name, url)));
+    const results = Object.fromEntries(entries.map(([name], i) => [name, outcomes[i]]));
     
-    const successful = results.filter(r => r.status === 'fulfilled' && r.value).length;
-    const failed = results.length - successful;
+    const successful = outcomes.filter(result => result.status === 'loaded').length;
+    const failed = outcomes.length - successful;
     
     console.log(`Preload complete: ${successful} loaded, ${failed} failed`);
     
     return {
-      total: results.length,
+      total: outcomes.length,
       successful,
-      failed
+      failed,
+      results
     };
   }
 
@@ -70,9 +212,11 @@ export class AudioFileManager {
    * @param {number} volume - Volume from 0.0 to 1.0
    * @param {number} playbackRate - Speed (1.0 = normal, 2.0 = double speed)
    * @param {number} detune - Pitch shift in cents (100 = 1 semitone)
+   * @param {number} startTime - Audio time to start at (defaults to now)
+   * @param {number} pan - Optional stereo position from -1 (left) to 1 (right)
    * @returns {AudioBufferSourceNode|null} - The source node (for stopping early)
    */
-  playSound(name, volume = 1.0, playbackRate = 1.0, detune = 0) {
+  playSound(name, volume = 1.0, playbackRate = 1.0, detune = 0, startTime = this.context.currentTime, pan) {
     const buffer = this.buffers.get(name);
     if (!buffer) {
       console.warn(`Sound "${name}" not loaded`);
@@ -83,15 +227,23 @@ export class AudioFileManager {
     const gainNode = this.context.createGain();
     
     source.buffer = buffer;
-    source.playbackRate.setValueAtTime(playbackRate, this.context.currentTime);
-    source.detune.setValueAtTime(detune, this.context.currentTime);
+    source.playbackRate.setValueAtTime(playbackRate, startTime);
+    source.detune.setValueAtTime(detune, startTime);
     
-    gainNode.gain.setValueAtTime(volume, this.context.currentTime);
+    gainNode.gain.setValueAtTime(volume, startTime);
     
     source.connect(gainNode);
-    gainNode.connect(this.masterGain);
+    if (pan !== undefined && this.context.createStereoPanner) {
+      // Optional stereo placement: gain → panner → master
+      const panner = this.context.createStereoPanner();
+      panner.pan.setValueAtTime(pan, startTime);
+      gainNode.connect(panner);
+      panner.connect(this.masterGain);
+    } else {
+      gainNode.connect(this.masterGain);
+    }
     
-    source.start(this.context.currentTime);
+    source.start(startTime);
     
     return source;
   }
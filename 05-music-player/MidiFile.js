@@ -0,0 +1,294 @@
+/**
+ * Standard MIDI Files
+ *
+ * Reads format 0 (one track) and format 1 (several tracks sharing a tempo
+ * map) .mid files into notes with start times and durations in seconds,
+ * ready to schedule against an AudioContext.
+ *
+ * A MIDI file counts time in ticks. How long a tick lasts depends on the
+ * file's resolution (ticks per quarter note) and the tempo, which can
+ * change anywhere in the song - so every tick position is converted
+ * through the full tempo map rather than a single tempo.
+ *
+ * Only what the synths need is kept: notes, tempo changes and track
+ * names. Controllers, program changes and other events are skipped.
+ */
+
+// 120 BPM, the tempo until a file says otherwise
+const DEFAULT_TEMPO = 500000;
+
+// General MIDI puts percussion on channel 10
+const DRUM_CHANNEL = 10;
+
+/**
+ * Parse a .mid file
+ *
+ * @param {ArrayBuffer|Uint8Array} data - The file's bytes
+ * @returns {Object} - { format, ticksPerBeat, tracks, notes, tempos, duration }
+ *   - tracks: [{ name, notes }] in file order
+ *   - notes: every note, sorted by time: { time, duration, note, velocity,
+ *     channel, track, drum } with times in seconds, velocity 0.0 to 1.0 and
+ *     channels numbered 1-16, as musicians count them
+ *   - tempos: [{ time, bpm }] tempo changes
+ *   - duration: length of the song in seconds
+ * @throws {Error} - If the file isn't a MIDI file this can play
+ */
+export function parseMidi(data) {
+  const reader = new MidiReader(data instanceof Uint8Array ? data : new Uint8Array(data));
+
+  if (reader.string(4) !== 'MThd') {
+    throw new Error('Not a MIDI file (missing MThd header)');
+  }
+  const headerLength = reader.uint32();
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.skip(headerLength - 6);
+
+  if (format > 1) {
+    throw new Error(`MIDI format ${format} is not supported (use format 0 or 1)`);
+  }
+
+  const rawTracks = [];
+  while (rawTracks.length < trackCount && !reader.done) {
+    const type = reader.string(4);
+    const length = reader.uint32();
+    if (type === 'MTrk') {
+      rawTracks.push(readTrack(reader.slice(length)));
+    } else {
+      // Unknown chunks are allowed and must be skipped
+      reader.skip(length);
+    }
+  }
+
+  const timing = createTiming(division, rawTracks);
+
+  const tracks = rawTracks.map((track, index) => {
+    const notes = pairNotes(track.events, track.endTick).map(note => {
+      const time = timing.seconds(note.tick);
+      return {
+        time,
+        duration: timing.seconds(note.tick + note.ticks) - time,
+        note: note.note,
+        velocity: note.velocity / 127,
+        channel: note.channel,
+        track: index,
+        drum: note.channel === DRUM_CHANNEL
+      };
+    });
+    return { name: track.name, notes };
+  });
+
+  const notes = tracks.flatMap(track => track.notes).sort((a, b) => a.time - b.time);
+  const endTick = Math.max(0, ...rawTracks.map(track => track.endTick));
+  const lastNoteEnd = notes.reduce((end, note) => Math.max(end, note.time + note.duration), 0);
+
+  return {
+    format,
+    ticksPerBeat: division & 0x8000 ? null : division,
+    tracks,
+    notes,
+    tempos: timing.tempos,
+    duration: Math.max(timing.seconds(endTick), lastNoteEnd)
+  };
+}
+
+/**
+ * Read one track's events, with absolute tick positions
+ */
+function readTrack(reader) {
+  const events = [];
+  let name = '';
+  let tick = 0;
+  let status = 0;
+
+  while (!reader.done) {
+    tick += reader.varint();
+
+    let byte = reader.uint8();
+    if (byte < 0x80) {
+      // Running status: the data byte belongs to a repeat of the last status
+      if (!status) {
+        throw new Error('Malformed MIDI track (data byte without a status)');
+      }
+      reader.skip(-1);
+      byte = status;
+    }
+
+    if (byte === 0xff) {
+      const type = reader.uint8();
+      const length = reader.varint();
+      const meta = reader.slice(length);
+
+      if (type === 0x51) {
+        events.push({ tick, type: 'tempo', tempo: meta.uint24() });
+      } else if (type === 0x03 && !name) {
+        name = meta.string(length);
+      } else if (type === 0x2f) {
+        break;
+      }
+      continue;
+    }
+
+    if (byte === 0xf0 || byte === 0xf7) {
+      // System exclusive - nothing the synths can use
+      reader.skip(reader.varint());
+      continue;
+    }
+
+    status = byte;
+    const command = byte & 0xf0;
+    const channel = (byte & 0x0f) + 1;
+
+    if (command === 0x90 || command === 0x80) {
+      const note = reader.uint8();
+      const velocity = reader.uint8();
+      // A note-on with velocity 0 is the usual way to write a note-off
+      const on = command === 0x90 && velocity > 0;
+      events.push({ tick, type: on ? 'noteOn' : 'noteOff', channel, note, velocity });
+    } else {
+      // Everything else has one data byte (program change, channel
+      // pressure) or two (controllers, pitch bend, aftertouch)
+      reader.skip(command === 0xc0 || command === 0xd0 ? 1 : 2);
+    }
+  }
+
+  return { name, events, endTick: tick };
+}
+
+/**
+ * Match note-ons with their note-offs
+ *
+ * Overlapping notes of the same pitch on a channel end first in, first out.
+ * A note still held at the end of the track ends with the track.
+ */
+function pairNotes(events, endTick) {
+  const held = new Map();
+  const notes = [];
+
+  events.forEach(event => {
+    if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+
+    const key = event.channel * 128 + event.note;
+    if (event.type === 'noteOn') {
+      const note = { tick: event.tick, ticks: 0, note: event.note, velocity: event.velocity, channel: event.channel };
+      notes.push(note);
+      if (!held.has(key)) held.set(key, []);
+      held.get(key).push(note);
+    } else {
+      const note = held.has(key) && held.get(key).shift();
+      if (note) {
+        note.ticks = event.tick - note.tick;
+      }
+    }
+  });
+
+  held.forEach(stack => stack.forEach(note => {
+    note.ticks = endTick - note.tick;
+  }));
+  return notes;
+}
+
+/**
+ * Build the tick → seconds conversion for a file
+ *
+ * In format 1 the tempo map lives in the first track but applies to all
+ * of them, so tempo events are gathered from every track.
+ */
+function createTiming(division, tracks) {
+  // SMPTE time: a fixed number of ticks per second, tempo doesn't apply
+  if (division & 0x8000) {
+    const framesPerSecond = 256 - (division >> 8);
+    const ticksPerSecond = framesPerSecond * (division & 0xff);
+    return { tempos: [], seconds: tick => tick / ticksPerSecond };
+  }
+
+  const changes = tracks
+    .flatMap(track => track.events.filter(event => event.type === 'tempo'))
+    .sort((a, b) => a.tick - b.tick);
+
+  // Each segment starts at a tempo change, with its start time precomputed
+  const segments = [{ tick: 0, seconds: 0, tempo: DEFAULT_TEMPO }];
+  changes.forEach(({ tick, tempo }) => {
+    const last = segments[segments.length - 1];
+    const seconds = last.seconds + (tick - last.tick) * last.tempo / 1e6 / division;
+    if (tick === last.tick) {
+      last.tempo = tempo;
+    } else {
+      segments.push({ tick, seconds, tempo });
+    }
+  });
+
+  return {
+    tempos: segments.map(({ seconds, tempo }) => ({ time: seconds, bpm: 60e6 / tempo })),
+    seconds(tick) {
+      let segment = segments[0];
+      for (const next of segments) {
+        if (next.tick > tick) break;
+        segment = next;
+      }
+      return segment.seconds + (tick - segment.tick) * segment.tempo / 1e6 / division;
+    }
+  };
+}
+
+/**
+ * Big-endian reader over a byte array
+ */
+class MidiReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  get done() {
+    return this.position >= this.bytes.length;
+  }
+
+  uint8() {
+    if (this.done) {
+      throw new Error('Unexpected end of MIDI data');
+    }
+    return this.bytes[this.position++];
+  }
+
+  uint16() {
+    return (this.uint8() << 8) | this.uint8();
+  }
+
+  uint24() {
+    return (this.uint8() << 16) | this.uint16();
+  }
+
+  uint32() {
+    return this.uint8() * 0x1000000 + this.uint24();
+  }
+
+  // Variable-length quantity: 7 bits per byte, high bit set on all but the last
+  varint() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Malformed MIDI data (variable-length number too long)');
+  }
+
+  string(length) {
+    return String.fromCharCode(...this.bytes.subarray(this.position, this.position += length));
+  }
+
+  skip(length) {
+    this.position += length;
+  }
+
+  slice(length) {
+    if (this.position + length > this.bytes.length) {
+      throw new Error('Unexpected end of MIDI data');
+    }
+    const reader = new MidiReader(this.bytes.subarray(this.position, this.position + length));
+    this.position += length;
+    return reader;
+  }
+}
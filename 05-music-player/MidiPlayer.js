@@ -0,0 +1,212 @@
+/**
+ * MIDI Player
+ *
+ * Plays Standard MIDI Files (see MidiFile.js) through the synthesized
+ * instruments - a few kilobytes of notes instead of megabytes of audio.
+ *
+ * Each MIDI channel (1-16) is mapped to an instrument:
+ * - the name of a patch in PATCH_PRESETS or FM_PRESETS
+ * - a patch or FM patch object (see 03-advanced-techniques)
+ * - 'drums' for the DrumKit, with General MIDI drum notes mapped to its
+ *   voices (channel 10 is drums unless told otherwise)
+ * - a function (note, startTime, duration) => source node(s) it started
+ * - null to mute the channel
+ *
+ * Notes are scheduled ahead on the audio clock with a Sequence. Seeking and
+ * tempo changes reschedule from the current position.
+ */
+
+import { Sequence } from '../06-utilities/Scheduler.js';
+import { PATCH_PRESETS } from '../03-advanced-techniques/Patches.js';
+import { FM_PRESETS } from '../03-advanced-techniques/FMSynth.js';
+import { DrumKit } from '../03-advanced-techniques/DrumKit.js';
+import { midiToFrequency } from '../06-utilities/MusicTheory.js';
+import { parseMidi } from './MidiFile.js';
+
+/**
+ * General MIDI percussion notes → DrumKit voices (the nearest match;
+ * cymbals and other percussion fall back to the hi-hats)
+ */
+export const GM_DRUMS = {
+  35: 'kick', 36: 'kick',
+  37: 'snare', 38: 'snare', 40: 'snare',
+  39: 'clap',
+  41: 'lowTom', 43: 'lowTom',
+  45: 'midTom', 47: 'midTom',
+  48: 'highTom', 50: 'highTom',
+  42: 'closedHat', 44: 'closedHat', 54: 'closedHat',
+  46: 'openHat', 49: 'openHat', 51: 'openHat', 52: 'openHat', 55: 'openHat', 57: 'openHat', 59: 'openHat'
+};
+
+const DEFAULT_INSTRUMENTS = { 10: 'drums' };
+
+/**
+ * Look up a preset name, leaving other kinds of instrument as they are
+ */
+function resolveInstrument(instrument, owner) {
+  if (typeof instrument !== 'string' || instrument === 'drums') {
+    return instrument;
+  }
+  const patch = PATCH_PRESETS[instrument] || FM_PRESETS[instrument];
+  if (!patch) {
+    throw new Error(`${owner} has unknown instrument "${instrument}"`);
+  }
+  return patch;
+}
+
+export class MidiPlayer {
+  /**
+   * @param {AdvancedAudio} audio - Synth the notes are played on
+   * @param {Object} options
+   * @param {Object} options.instruments - Channel number → instrument (see above)
+   * @param {*} options.defaultInstrument - Instrument for channels not in the map
+   */
+  constructor(audio, { instruments = {}, defaultInstrument = 'organ' } = {}) {
+    this.audio = audio;
+    this.context = audio.context;
+    this.instruments = {};
+    Object.entries({ ...DEFAULT_INSTRUMENTS, ...instruments }).forEach(([channel, instrument]) => {
+      this.instruments[channel] = resolveInstrument(instrument, `MIDI channel ${channel}`);
+    });
+    this.defaultInstrument = resolveInstrument(defaultInstrument, 'Default instrument');
+    this.drums = new DrumKit(audio.context, audio.output);
+
+    this.song = null;
+    this.sequence = null;
+    this.tempoScale = 1;
+
+    // Song position (in the file's own seconds) when playback last started
+    this.position = 0;
+    this.startedAt = 0;
+  }
+
+  /**
+   * Load a song, stopping whatever is playing
+   *
+   * @param {ArrayBuffer|Uint8Array|Object} song - .mid bytes, or a song from parseMidi()
+   * @returns {Object} - The parsed song
+   */
+  load(song) {
+    this.stop();
+    this.song = song && Array.isArray(song.notes) ? song : parseMidi(song);
+    return this.song;
+  }
+
+  get duration() {
+    return this.song ? this.song.duration : 0;
+  }
+
+  get isPlaying() {
+    return this.sequence !== null && this.sequence.isPlaying;
+  }
+
+  /**
+   * Current position in the song, in seconds at the file's own tempo
+   */
+  get currentTime() {
+    if (!this.sequence) return this.position;
+    const elapsed = (this.context.currentTime - this.startedAt) * this.tempoScale;
+    return Math.min(Math.max(this.position + elapsed, this.position), this.duration);
+  }
+
+  /**
+   * Play from the current position (from the top once the song has ended)
+   *
+   * @param {number} when - Audio time to start at (defaults to now)
+   */
+  play(when = this.context.currentTime) {
+    if (!this.song) {
+      throw new Error('Load a MIDI file before playing');
+    }
+    if (this.isPlaying) return;
+
+    // Pick up where the last play left off (or ran out)
+    this.position = this.currentTime;
+    if (this.position >= this.duration) {
+      this.position = 0;
+    }
+
+    const scale = this.tempoScale;
+    const notes = this.song.notes
+      .filter(note => note.time >= this.position)
+      .map(note => ({ ...note, time: (note.time - this.position) / scale }));
+
+    this.startedAt = when;
+    this.sequence = new Sequence(this.context, notes, (note, startTime) => this.playNote(note, startTime));
+    this.sequence.start(when);
+  }
+
+  /**
+   * Stop, keeping the position for play() to resume from
+   */
+  pause() {
+    if (!this.sequence) return;
+    this.position = this.currentTime;
+    this.sequence.cancel();
+    this.sequence = null;
+  }
+
+  /**
+   * Stop and go back to the start
+   */
+  stop() {
+    this.pause();
+    this.position = 0;
+  }
+
+  /**
+   * Jump to a position in the song
+   *
+   * @param {number} seconds - Position at the file's own tempo
+   */
+  seek(seconds) {
+    const wasPlaying = this.isPlaying;
+    this.pause();
+    this.position = Math.min(Math.max(seconds, 0), this.duration);
+    if (wasPlaying) this.play();
+  }
+
+  /**
+   * Speed the song up or slow it down
+   *
+   * @param {number} scale - 1 as written, 2 twice as fast, 0.5 half speed
+   */
+  setTempoScale(scale) {
+    if (!(scale > 0)) {
+      throw new Error('Tempo scale must be positive');
+    }
+    const wasPlaying = this.isPlaying;
+    this.pause();
+    this.tempoScale = scale;
+    if (wasPlaying) this.play();
+  }
+
+  /**
+   * Play one note on its channel's instrument
+   *
+   * @returns {Array<AudioScheduledSourceNode>} - Sources started (empty if muted)
+   */
+  playNote(note, startTime) {
+    const instrument = note.channel in this.instruments
+      ? this.instruments[note.channel]
+      : this.defaultInstrument;
+    const duration = note.duration / this.tempoScale;
+
+    if (instrument === null) return [];
+
+    if (instrument === 'drums') {
+      const voice = GM_DRUMS[note.note];
+      return voice ? this.drums.play(voice, startTime, note.velocity) : [];
+    }
+
+    if (typeof instrument === 'function') {
+      return instrument(note, startTime, duration);
+    }
+
+    const options = { startTime, velocity: note.velocity };
+    const frequency = midiToFrequency(note.note);
+    return instrument.operators
+      ? this.audio.playFM(instrument, frequency, duration, options)
+      : this.audio.playPatch(instrument, frequency, duration, options);
+  }
+}
@@ -9,25 +9,28 @@ export class ThrottledSound {
   /**
    * @param {Function} playFunction - The function that plays the sound
    * @param {number} minInterval - Minimum milliseconds between plays
+   * @param {Function} now - Clock in milliseconds (swap in a game clock for deterministic replays)
    */
-  constructor(playFunction, minInterval = 50) {
+  constructor(playFunction, minInterval = 50, now = Date.now) {
     this.playFunction = playFunction;
     this.minInterval = minInterval;
-    this.lastPlayed = 0;
+    this.now = now;
+    this.lastPlayed = -Infinity;
   }
 
   /**
    * Attempt to play the sound (will skip if too soon)
+   * @param {...*} args - Passed through to the play function (e.g. a position)
    * @returns {boolean} - Whether the sound actually played
    */
-  play() {
-    const now = Date.now();
+  play(...args) {
+    const now = this.now();
     if (now - this.lastPlayed < this.minInterval) {
       return false; // Too soon, skip
     }
     
     this.lastPlayed = now;
-    this.playFunction();
+    this.playFunction(...args);
     return true;
   }
 
@@ -35,7 +38,7 @@ export class ThrottledSound {
    * Reset the throttle timer
    */
   reset() {
-    this.lastPlayed = 0;
+    this.lastPlayed = -Infinity;
   }
 
   /**
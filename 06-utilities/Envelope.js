@@ -0,0 +1,168 @@
+/**
+ * ADSR Envelopes
+ *
+ * Shape an AudioParam (usually a gain) over the life of a note:
+ * - Attack: rise from silence to the peak
+ * - Decay: fall from the peak to the sustain level
+ * - Sustain: hold while the note is held (a fraction of the peak)
+ * - Release: fade to silence once the note is let go
+ *
+ * Curves can be 'linear' or 'exponential'. Exponential ramps can't reach
+ * zero, so they run to a near-silent floor and snap to 0 at the very end.
+ */
+
+export const DEFAULT_ENVELOPE = {
+  attack: 0.01,
+  decay: 0.1,
+  sustain: 0.7,
+  release: 0.2,
+  curve: 'linear'
+};
+
+// Quietest value an exponential ramp can target (-80 dB)
+export const MIN_GAIN = 0.0001;
+
+/**
+ * Fill in missing envelope fields with defaults
+ *
+ * @param {Object} envelope - Partial envelope
+ * @returns {Object} - Complete envelope
+ */
+export function normalizeEnvelope(envelope = {}) {
+  return { ...DEFAULT_ENVELOPE, ...envelope };
+}
+
+function floorFor(curve) {
+  return curve === 'exponential' ? MIN_GAIN : 0;
+}
+
+function rampTo(param, value, time, curve) {
+  if (curve === 'exponential') {
+    param.exponentialRampToValueAtTime(Math.max(value, MIN_GAIN), time);
+  } else {
+    param.linearRampToValueAtTime(value, time);
+  }
+}
+
+function interpolate(from, to, progress, curve) {
+  if (curve === 'exponential') {
+    const start = Math.max(from, MIN_GAIN);
+    const end = Math.max(to, MIN_GAIN);
+    return start * Math.pow(end / start, progress);
+  }
+  return from + (to - from) * progress;
+}
+
+/**
+ * Level of an envelope at a point in time, before any release
+ *
+ * @param {Object} envelope - Envelope settings
+ * @param {number} peak - Level at the end of the attack
+ * @param {number} elapsed - Seconds since the note started
+ * @returns {number} - The envelope level
+ */
+export function envelopeLevel(envelope, peak, elapsed) {
+  const { attack, decay, sustain, curve } = normalizeEnvelope(envelope);
+  const sustainLevel = peak * sustain;
+
+  if (elapsed < attack) {
+    return interpolate(floorFor(curve), peak, elapsed / attack, curve);
+  }
+  if (elapsed < attack + decay) {
+    return interpolate(peak, sustainLevel, (elapsed - attack) / decay, curve);
+  }
+  return sustainLevel;
+}
+
+/**
+ * Schedule the attack, decay and sustain stages of a note
+ *
+ * @param {AudioParam} param - Parameter to automate
+ * @param {Object} envelope - Envelope settings
+ * @param {number} peak - Level at the end of the attack
+ * @param {number} startTime - Audio time the note starts
+ */
+export function scheduleAttack(param, envelope, peak, startTime) {
+  const { attack, decay, sustain, curve } = normalizeEnvelope(envelope);
+
+  if (attack > 0) {
+    param.setValueAtTime(floorFor(curve), startTime);
+    rampTo(param, peak, startTime + attack, curve);
+  } else {
+    param.setValueAtTime(peak, startTime);
+  }
+
+  if (decay > 0) {
+    rampTo(param, peak * sustain, startTime + attack + decay, curve);
+  } else {
+    param.setValueAtTime(peak * sustain, startTime + attack);
+  }
+}
+
+/**
+ * Schedule a complete note whose length is known up front
+ *
+ * If the note is shorter than attack + decay, the release starts from
+ * wherever the envelope had got to, so short notes never click.
+ *
+ * @param {AudioParam} param - Parameter to automate
+ * @param {Object} envelope - Envelope settings
+ * @param {number} peak - Level at the end of the attack
+ * @param {number} startTime - Audio time the note starts
+ * @param {number} holdTime - Seconds from the start until the release begins
+ * @returns {number} - Audio time the note falls silent
+ */
+export function scheduleEnvelope(param, envelope, peak, startTime, holdTime) {
+  const env = normalizeEnvelope(envelope);
+  const { attack, decay, curve } = env;
+
+  if (attack > 0) {
+    param.setValueAtTime(floorFor(curve), startTime);
+    const attackEnd = Math.min(attack, holdTime);
+    rampTo(param, envelopeLevel(env, peak, attackEnd), startTime + attackEnd, curve);
+  } else {
+    param.setValueAtTime(peak, startTime);
+  }
+
+  if (holdTime > attack && decay > 0) {
+    const decayEnd = Math.min(attack + decay, holdTime);
+    rampTo(param, envelopeLevel(env, peak, decayEnd), startTime + decayEnd, curve);
+  }
+
+  const releaseStart = startTime + holdTime;
+  param.setValueAtTime(envelopeLevel(env, peak, holdTime), releaseStart);
+  return rampToSilence(param, env, releaseStart);
+}
+
+/**
+ * Release a held note, starting from its current level
+ *
+ * @param {AudioParam} param - Parameter being automated
+ * @param {Object} envelope - Envelope the note was started with
+ * @param {number} peak - Level at the end of the attack
+ * @param {number} startTime - Audio time the note started
+ * @param {number} releaseTime - Audio time to begin the release
+ * @returns {number} - Audio time the note falls silent
+ */
+export function scheduleRelease(param, envelope, peak, startTime, releaseTime) {
+  const env = normalizeEnvelope(envelope);
+  const level = envelopeLevel(env, peak, Math.max(0, releaseTime - startTime));
+
+  // Freeze any ramp in progress rather than letting it jump
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(releaseTime);
+  } else {
+    param.cancelScheduledValues(releaseTime);
+  }
+  param.setValueAtTime(level, releaseTime);
+
+  return rampToSilence(param, env, releaseTime);
+}
+
+function rampToSilence(param, envelope, releaseStart) {
+  const endTime = releaseStart + Math.max(envelope.release, 0.005);
+
+  rampTo(param, 0, endTime, envelope.curve);
+  param.setValueAtTime(0, endTime);
+  return endTime;
+}
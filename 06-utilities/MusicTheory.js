@@ -0,0 +1,290 @@
+/**
+ * Music Theory
+ *
+ * Notes, scales and chords, so sounds can be written as music ('C#5', a
+ * minor pentatonic run, a G7 chord) instead of raw frequencies.
+ *
+ * A pitch is either a note name or a frequency in Hertz: anything taking a
+ * pitch goes through toFrequency(), which leaves numbers alone. MIDI note
+ * numbers only appear where a function says so in its name.
+ *
+ * Note names are a letter, an optional accidental (# or b, doubled for
+ * double sharps and flats) and an octave, in scientific pitch notation:
+ * 'C4' is middle C and 'A4' is the tuning note.
+ */
+
+// Semitones above C for each natural note
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const NOTE_PATTERN = /^([A-Ga-g])(#{1,2}|b{1,2})?(-?\d+)$/;
+
+const A4_MIDI = 69;
+
+// Frequency of A4 in Hertz
+let tuning = 440;
+
+/**
+ * Scales and modes, as semitones above the root
+ */
+export const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+  melodicMinor: [0, 2, 3, 5, 7, 9, 11],
+  ionian: [0, 2, 4, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  aeolian: [0, 2, 3, 5, 7, 8, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  majorPentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  wholeTone: [0, 2, 4, 6, 8, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+/**
+ * Chord qualities, as semitones above the root
+ */
+export const CHORDS = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
+  diminished: [0, 3, 6],
+  augmented: [0, 4, 8],
+  sus2: [0, 2, 7],
+  sus4: [0, 5, 7],
+  power: [0, 7],
+  major7: [0, 4, 7, 11],
+  minor7: [0, 3, 7, 10],
+  dominant7: [0, 4, 7, 10],
+  diminished7: [0, 3, 6, 9],
+  halfDiminished7: [0, 3, 6, 10]
+};
+
+/**
+ * Orders for arpeggiate()
+ */
+export const ARPEGGIO_PATTERNS = ['up', 'down', 'upDown', 'downUp', 'random'];
+
+/**
+ * Set the frequency of A4 that every conversion uses (440 Hz by default)
+ *
+ * @param {number} a4 - Hertz, e.g. 432 or 442
+ */
+export function setTuning(a4) {
+  if (!(a4 > 0)) {
+    throw new Error('Tuning must be a positive frequency');
+  }
+  tuning = a4;
+}
+
+/**
+ * @returns {number} - The frequency of A4 in Hertz
+ */
+export function getTuning() {
+  return tuning;
+}
+
+/**
+ * Convert a note name like 'A4', 'C#5' or 'Bb3' to a MIDI note number
+ *
+ * @param {string} note - Note name
+ * @returns {number} - MIDI note number (60 = C4)
+ * @throws {Error} - If the name isn't a note
+ */
+export function noteToMidi(note) {
+  const match = NOTE_PATTERN.exec(String(note).trim());
+  if (!match) {
+    throw new Error(`Invalid note name "${note}"`);
+  }
+
+  const [, letter, accidental = '', octave] = match;
+  const shift = accidental.startsWith('#') ? accidental.length : -accidental.length;
+  return (Number(octave) + 1) * 12 + NOTE_OFFSETS[letter.toUpperCase()] + shift;
+}
+
+/**
+ * Convert a MIDI note number to a note name
+ *
+ * @param {number} midi - MIDI note number (rounded to the nearest note)
+ * @param {Object} options
+ * @param {boolean} options.flats - Spell black keys as flats ('Bb3', not 'A#3')
+ * @returns {string} - Note name
+ */
+export function midiToNote(midi, { flats = false } = {}) {
+  const rounded = Math.round(midi);
+  const pitchClass = ((rounded % 12) + 12) % 12;
+  const octave = Math.floor(rounded / 12) - 1;
+  return (flats ? FLAT_NAMES : SHARP_NAMES)[pitchClass] + octave;
+}
+
+/**
+ * @param {number} midi - MIDI note number (fractions are microtones)
+ * @param {number} a4 - Tuning in Hertz (defaults to the current tuning)
+ * @returns {number} - Frequency in Hertz
+ */
+export function midiToFrequency(midi, a4 = tuning) {
+  return a4 * Math.pow(2, (midi - A4_MIDI) / 12);
+}
+
+/**
+ * @param {number} frequency - Hertz
+ * @param {number} a4 - Tuning in Hertz (defaults to the current tuning)
+ * @returns {number} - MIDI note number, with a fraction for pitches between notes
+ */
+export function frequencyToMidi(frequency, a4 = tuning) {
+  return A4_MIDI + 12 * Math.log2(frequency / a4);
+}
+
+/**
+ * Convert a note name to Hertz
+ *
+ * @param {string} note - Note name
+ * @param {number} a4 - Tuning in Hertz (defaults to the current tuning)
+ * @returns {number} - Frequency in Hertz
+ */
+export function noteToFrequency(note, a4 = tuning) {
+  return midiToFrequency(noteToMidi(note), a4);
+}
+
+/**
+ * Nearest note to a frequency, and how far off it is
+ *
+ * @param {number} frequency - Hertz
+ * @param {number} a4 - Tuning in Hertz (defaults to the current tuning)
+ * @returns {Object} - { note, cents } with cents from -50 to 50
+ */
+export function frequencyToNote(frequency, a4 = tuning) {
+  const midi = frequencyToMidi(frequency, a4);
+  const nearest = Math.round(midi);
+  return { note: midiToNote(nearest), cents: (midi - nearest) * 100 };
+}
+
+/**
+ * Frequency of a pitch: note names are converted, numbers are already Hertz
+ *
+ * @param {string|number} pitch - Note name or Hertz
+ * @returns {number} - Frequency in Hertz
+ */
+export function toFrequency(pitch) {
+  return typeof pitch === 'number' ? pitch : noteToFrequency(pitch);
+}
+
+/**
+ * Move a pitch by a number of semitones, keeping its kind: note names
+ * stay note names (spelled with flats if the original was), Hertz stay Hertz
+ *
+ * @param {string|number} pitch - Note name or Hertz
+ * @param {number} semitones - Positive to go up, negative to go down (note
+ *   names round to the nearest semitone)
+ * @returns {string|number} - The transposed pitch
+ */
+export function transpose(pitch, semitones) {
+  if (typeof pitch === 'number') {
+    return pitch * Math.pow(2, semitones / 12);
+  }
+  return midiToNote(noteToMidi(pitch) + semitones, { flats: usesFlats(pitch) });
+}
+
+/**
+ * Notes of a scale, from the root up
+ *
+ * @param {string|number} root - Root as a note name (e.g. 'A3') or Hertz
+ * @param {string|Array<number>} name - A SCALES name, or semitone steps
+ * @param {Object} options
+ * @param {number} options.octaves - How many octaves to span
+ * @returns {Array<string|number>} - Pitches of the same kind as the root,
+ *   ending on the root at the top
+ */
+export function scale(root, name = 'major', { octaves = 1 } = {}) {
+  const steps = lookup(SCALES, name, 'scale');
+  const count = steps.length * octaves + 1;
+  return Array.from({ length: count }, (_, degree) => scaleNote(root, steps, degree));
+}
+
+/**
+ * One degree of a scale, counting from 0 at the root; degrees past the
+ * top (or below 0) carry on into the next octave
+ *
+ * @param {string|number} root - Root as a note name or Hertz
+ * @param {string|Array<number>} name - A SCALES name, or semitone steps
+ * @param {number} degree - Scale step, 0 = root
+ * @returns {string|number} - Pitch of the same kind as the root
+ */
+export function scaleNote(root, name, degree) {
+  const steps = lookup(SCALES, name, 'scale');
+  const octave = Math.floor(degree / steps.length);
+  const step = steps[degree - octave * steps.length];
+  return transpose(root, step + 12 * octave);
+}
+
+/**
+ * Notes of a chord
+ *
+ * Each inversion moves the lowest note up an octave: the first inversion of
+ * C major is E G C.
+ *
+ * @param {string|number} root - Root as a note name (e.g. 'C4') or Hertz
+ * @param {string|Array<number>} type - A CHORDS name, or semitone steps
+ * @param {Object} options
+ * @param {number} options.inversion - 0 for root position, 1, 2...
+ * @returns {Array<string|number>} - Pitches of the same kind as the root, lowest first
+ */
+export function chord(root, type = 'major', { inversion = 0 } = {}) {
+  const steps = lookup(CHORDS, type, 'chord').slice();
+  for (let i = 0; i < inversion; i++) {
+    steps.push(steps.shift() + 12);
+  }
+  return steps.map(step => transpose(root, step));
+}
+
+/**
+ * Order a chord's notes for an arpeggio
+ *
+ * @param {Array<string|number>} notes - Pitches, lowest first (e.g. from chord())
+ * @param {string} pattern - An ARPEGGIO_PATTERNS name
+ * @param {Object} options
+ * @param {number} options.octaves - Repeat the notes this many octaves up
+ * @param {Function} options.random - Random source for 'random' (e.g. a SeededRandom's)
+ * @returns {Array<string|number>} - The pitches in playing order
+ */
+export function arpeggiate(notes, pattern = 'up', { octaves = 1, random = Math.random } = {}) {
+  const up = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    notes.forEach(note => up.push(transpose(note, 12 * octave)));
+  }
+  const down = up.slice().reverse();
+
+  switch (pattern) {
+    case 'up':
+      return up;
+    case 'down':
+      return down;
+    // The turning notes aren't repeated
+    case 'upDown':
+      return up.concat(down.slice(1, -1));
+    case 'downUp':
+      return down.concat(up.slice(1, -1));
+    case 'random':
+      return up.map(() => up[Math.floor(random() * up.length)]);
+    default:
+      throw new Error(`Unknown arpeggio pattern "${pattern}" (use ${ARPEGGIO_PATTERNS.join(', ')})`);
+  }
+}
+
+function lookup(table, name, kind) {
+  if (Array.isArray(name)) return name;
+  if (!table[name]) {
+    throw new Error(`Unknown ${kind} "${name}" (use ${Object.keys(table).join(', ')})`);
+  }
+  return table[name];
+}
+
+function usesFlats(note) {
+  return /^[A-Ga-g]b/.test(String(note).trim());
+}
@@ -0,0 +1,128 @@
+/**
+ * Colored Noise
+ *
+ * Noise buffers are generated once per context and shared. Filling a fresh
+ * buffer for every hit means allocating and looping over tens of thousands
+ * of samples each time - in rapid percussion that shows up as garbage
+ * collection stutter. Each source starts at a random point in the shared
+ * buffer, so repeated hits still don't sound identical.
+ *
+ * Colors:
+ * - white: equal energy at every frequency - hiss, snares, cymbals
+ * - pink: energy falls 3 dB per octave - rain, wind, softer textures
+ * - brown: energy falls 6 dB per octave - rumble, thunder, surf
+ */
+
+export const NOISE_COLORS = ['white', 'pink', 'brown'];
+
+// Long enough that the loop point is never noticeable
+const NOISE_SECONDS = 2;
+
+const cache = new WeakMap();
+
+function fillWhite(data, random) {
+  for (let i = 0; i < data.length; i++) {
+    data[i] = random() * 2 - 1;
+  }
+}
+
+// Paul Kellet's filter: a sum of one-pole filters approximating -3 dB/octave
+function fillPink(data, random) {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const white = random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+    b6 = white * 0.115926;
+  }
+}
+
+// Integrated white noise with a slight leak so it doesn't drift off
+function fillBrown(data, random) {
+  let last = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const white = random() * 2 - 1;
+    last = (last + 0.02 * white) / 1.02;
+    data[i] = last;
+  }
+}
+
+const FILLERS = { white: fillWhite, pink: fillPink, brown: fillBrown };
+
+function normalize(data) {
+  let peak = 0;
+  for (let i = 0; i < data.length; i++) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  if (peak === 0) return;
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] /= peak;
+  }
+}
+
+/**
+ * Get the shared noise buffer of a color, generating it on first use
+ *
+ * @param {BaseAudioContext} audioContext - Context the buffer belongs to
+ * @param {string} color - 'white', 'pink' or 'brown'
+ * @returns {AudioBuffer} - Mono noise, normalized to a peak of 1
+ */
+export function getNoiseBuffer(audioContext, color = 'white') {
+  const fill = FILLERS[color];
+  if (!fill) {
+    throw new Error(`Unknown noise color "${color}" (use ${NOISE_COLORS.join(', ')})`);
+  }
+
+  let buffers = cache.get(audioContext);
+  if (!buffers) {
+    buffers = new Map();
+    cache.set(audioContext, buffers);
+  }
+
+  if (!buffers.has(color)) {
+    const length = Math.floor(audioContext.sampleRate * NOISE_SECONDS);
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    fill(data, Math.random);
+    normalize(data);
+    buffers.set(color, buffer);
+  }
+  return buffers.get(color);
+}
+
+/**
+ * Create a looping noise source (not yet started - see startNoise)
+ *
+ * @param {BaseAudioContext} audioContext - Context to create the source in
+ * @param {string} color - 'white', 'pink' or 'brown'
+ * @returns {AudioBufferSourceNode} - Looping source over the shared buffer
+ */
+export function createNoiseSource(audioContext, color = 'white') {
+  const source = audioContext.createBufferSource();
+  source.buffer = getNoiseBuffer(audioContext, color);
+  source.loop = true;
+  return source;
+}
+
+/**
+ * Start a noise source from a random point in its buffer
+ *
+ * @param {AudioBufferSourceNode} source - Source from createNoiseSource()
+ * @param {number} startTime - Audio time to start at
+ * @param {number} stopTime - Audio time to stop at (optional)
+ */
+export function startNoise(source, startTime, stopTime) {
+  source.start(startTime, Math.random() * source.buffer.duration);
+  if (stopTime !== undefined) {
+    source.stop(stopTime);
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Offline Rendering
+ *
+ * Bake procedural sounds into audio files for platforms that can't run
+ * live synthesis. Sounds are played into an OfflineAudioContext, which
+ * renders as fast as the CPU allows instead of in real time, then the
+ * resulting AudioBuffer can be encoded as a PCM WAV file.
+ */
+
+/**
+ * Render whatever a callback plays into an AudioBuffer
+ *
+ * @param {Function} playSound - (context) => void; plays into the given context
+ * @param {Object} options
+ * @param {number} options.duration - Length to render, in seconds
+ * @param {number} options.sampleRate - Samples per second
+ * @param {number} options.numberOfChannels - 1 for mono, 2 for stereo
+ * @returns {Promise<AudioBuffer>} - The rendered audio
+ *
+ * @example
+ * const buffer = await renderOffline(ctx => new SoundManager(ctx).playMove(), { duration: 0.5 });
+ */
+export async function renderOffline(playSound, { duration = 2, sampleRate = 44100, numberOfChannels = 2 } = {}) {
+  const context = new OfflineAudioContext(
+    numberOfChannels,
+    Math.ceil(duration * sampleRate),
+    sampleRate
+  );
+
+  await playSound(context);
+  return context.startRendering();
+}
+
+/**
+ * Render one method of a sound class
+ *
+ * The class must accept an AudioContext as its first constructor argument.
+ *
+ * @param {Function} SoundClass - e.g. SoundManager, AdvancedAudio, BreakoutAudioEngine
+ * @param {string} method - Name of the method to call, e.g. 'playCapture'
+ * @param {Array} args - Arguments for the method
+ * @param {Object} options - renderOffline options
+ * @returns {Promise<AudioBuffer>} - The rendered audio
+ */
+export function renderMethod(SoundClass, method, args = [], options = {}) {
+  return renderOffline(context => {
+    const instance = new SoundClass(context);
+    if (typeof instance[method] !== 'function') {
+      throw new Error(`${SoundClass.name} has no method "${method}"`);
+    }
+    instance[method](...args);
+  }, options);
+}
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Encode an AudioBuffer as a WAV file
+ *
+ * @param {AudioBuffer} audioBuffer - Audio to encode
+ * @param {Object} options
+ * @param {number} options.bitDepth - 16 for 16-bit integer PCM, 32 for 32-bit float
+ * @returns {ArrayBuffer} - The complete WAV file
+ */
+export function encodeWav(audioBuffer, { bitDepth = 16 } = {}) {
+  if (bitDepth !== 16 && bitDepth !== 32) {
+    throw new Error(`Unsupported bit depth ${bitDepth} (use 16 or 32)`);
+  }
+
+  const isFloat = bitDepth === 32;
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+
+  // Float files carry an extended fmt chunk and a 'fact' chunk
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+  const arrayBuffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(arrayBuffer);
+  let offset = 0;
+
+  // RIFF header
+  writeString(view, offset, 'RIFF');
+  view.setUint32(offset + 4, headerSize + dataSize - 8, true);
+  writeString(view, offset + 8, 'WAVE');
+  offset += 12;
+
+  // Format chunk
+  writeString(view, offset, 'fmt ');
+  view.setUint32(offset + 4, fmtSize, true);
+  view.setUint16(offset + 8, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+  view.setUint16(offset + 10, numberOfChannels, true);
+  view.setUint32(offset + 12, sampleRate, true);
+  view.setUint32(offset + 16, sampleRate * blockAlign, true);
+  view.setUint16(offset + 20, blockAlign, true);
+  view.setUint16(offset + 22, bitDepth, true);
+  if (isFloat) {
+    view.setUint16(offset + 24, 0, true); // No extra format bytes
+  }
+  offset += 8 + fmtSize;
+
+  if (isFloat) {
+    writeString(view, offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, length, true);
+    offset += factSize;
+  }
+
+  // Data chunk: samples interleaved L R L R ...
+  writeString(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  const channels = [];
+  for (let c = 0; c < numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numberOfChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return arrayBuffer;
+}
+
+/**
+ * Encode an AudioBuffer as a WAV Blob
+ *
+ * @param {AudioBuffer} audioBuffer - Audio to encode
+ * @param {Object} options - encodeWav options
+ * @returns {Blob} - WAV file with type 'audio/wav'
+ */
+export function encodeWavBlob(audioBuffer, options = {}) {
+  return new Blob([encodeWav(audioBuffer, options)], { type: 'audio/wav' });
+}
+
+/**
+ * Offer an AudioBuffer to the user as a WAV download
+ *
+ * @param {AudioBuffer} audioBuffer - Audio to save
+ * @param {string} filename - Suggested file name
+ * @param {Object} options - encodeWav options
+ */
+export function downloadWav(audioBuffer, filename = 'sound.wav', options = {}) {
+  const url = URL.createObjectURL(encodeWavBlob(audioBuffer, options));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,190 @@
+/**
+ * Audio Scheduling
+ *
+ * Schedule notes against AudioContext.currentTime instead of setTimeout.
+ * Main-thread timers drift and bunch up whenever the page is busy (a
+ * stuttering game loop, garbage collection), but the audio clock never does.
+ *
+ * Uses the "two clocks" pattern: a coarse JavaScript timer wakes up
+ * regularly and hands the audio thread everything due within the next
+ * lookahead window, each note stamped with an exact audio-clock start time.
+ */
+
+function isOfflineContext(context) {
+  return typeof OfflineAudioContext !== 'undefined' && context instanceof OfflineAudioContext;
+}
+
+/**
+ * Lookahead Clock
+ *
+ * Repeatedly asks a callback to schedule everything up to a point in
+ * audio time. The first window is scheduled synchronously, so work that
+ * fits inside it never touches a timer at all.
+ */
+
+export class LookaheadClock {
+  /**
+   * @param {BaseAudioContext} audioContext - Context whose clock drives scheduling
+   * @param {Object} options
+   * @param {number} options.lookahead - How far ahead to schedule, in seconds
+   * @param {number} options.interval - How often the timer wakes up, in milliseconds
+   */
+  constructor(audioContext, { lookahead = 0.1, interval = 25 } = {}) {
+    this.context = audioContext;
+    this.lookahead = lookahead;
+    this.interval = interval;
+    this.callback = null;
+    this.timerId = null;
+  }
+
+  /**
+   * Start calling back with the end of each scheduling window
+   *
+   * @param {Function} callback - Receives the audio time to schedule up to;
+   *                              return false once there is nothing left
+   */
+  start(callback) {
+    this.stop();
+    this.callback = callback;
+    this.tick();
+
+    if (this.callback) {
+      this.timerId = setInterval(() => this.tick(), this.interval);
+    }
+  }
+
+  /**
+   * Schedule the next window
+   */
+  tick() {
+    if (!this.callback) return;
+
+    // An offline context renders faster than real time, so its whole
+    // length has to be scheduled before rendering starts
+    const lookahead = isOfflineContext(this.context)
+      ? Math.max(this.lookahead, this.context.length / this.context.sampleRate)
+      : this.lookahead;
+
+    const keepGoing = this.callback(this.context.currentTime + lookahead);
+    if (keepGoing === false) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Stop the clock (already scheduled audio is unaffected)
+   */
+  stop() {
+    if (this.timerId !== null) {
+      clearInterval(this.timerId);
+      this.timerId = null;
+    }
+    this.callback = null;
+  }
+
+  get isRunning() {
+    return this.callback !== null;
+  }
+}
+
+/**
+ * Sequence
+ *
+ * A list of notes with start offsets in seconds, played as one unit.
+ * Every node a note creates is tracked so the whole sequence can be
+ * cancelled, including notes that are scheduled but haven't sounded yet.
+ */
+
+export class Sequence {
+  /**
+   * @param {BaseAudioContext} audioContext - Context to schedule against
+   * @param {Array<Object>} notes - Notes, each with a `time` offset in seconds
+   * @param {Function} playNote - (note, startTime) => source node(s) it started
+   * @param {Object} options - LookaheadClock options
+   */
+  constructor(audioContext, notes, playNote, { lookahead = 1, interval = 100 } = {}) {
+    this.context = audioContext;
+    this.notes = [...notes].sort((a, b) => (a.time || 0) - (b.time || 0));
+    this.playNote = playNote;
+    this.clock = new LookaheadClock(audioContext, { lookahead, interval });
+    this.sources = new Set();
+    this.nextIndex = 0;
+    this.startTime = 0;
+  }
+
+  /**
+   * Start the sequence
+   *
+   * @param {number} when - Audio time of the first offset (defaults to now)
+   * @returns {Sequence} - This sequence (for cancelling later)
+   */
+  start(when = this.context.currentTime) {
+    this.startTime = when;
+    this.nextIndex = 0;
+    this.clock.start(until => this.scheduleUntil(until));
+    return this;
+  }
+
+  /**
+   * Start every note due before the given audio time
+   *
+   * @returns {boolean} - Whether notes remain to be scheduled
+   */
+  scheduleUntil(until) {
+    while (this.nextIndex < this.notes.length) {
+      const note = this.notes[this.nextIndex];
+      const when = this.startTime + (note.time || 0);
+      if (when > until) return true;
+
+      // Never schedule in the past - a late note plays now rather than never
+      this.track(this.playNote(note, Math.max(when, this.context.currentTime)));
+      this.nextIndex++;
+    }
+    return false;
+  }
+
+  /**
+   * Remember the nodes a note started until they finish
+   */
+  track(result) {
+    [].concat(result || []).forEach(source => {
+      this.sources.add(source);
+      source.addEventListener('ended', () => this.sources.delete(source));
+    });
+  }
+
+  /**
+   * Stop the sequence: silence sounding notes and drop pending ones
+   */
+  cancel() {
+    this.clock.stop();
+    this.nextIndex = this.notes.length;
+
+    this.sources.forEach(source => {
+      try {
+        source.stop();
+      } catch {
+        // Already stopped
+      }
+    });
+    this.sources.clear();
+  }
+
+  get isPlaying() {
+    return this.clock.isRunning || this.sources.size > 0;
+  }
+}
+
+/**
+ * Create and start a sequence in one call
+ *
+ * @param {BaseAudioContext} audioContext - Context to schedule against
+ * @param {Array<Object>} notes - Notes, each with a `time` offset in seconds
+ * @param {Function} playNote - (note, startTime) => source node(s) it started
+ * @param {Object} options - Sequence options, plus `startTime`
+ * @returns {Sequence} - The running sequence
+ */
+export function playSequence(audioContext, notes, playNote, options = {}) {
+  const { startTime, ...clockOptions } = options;
+  return new Sequence(audioContext, notes, playNote, clockOptions).start(startTime);
+}
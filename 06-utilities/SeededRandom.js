@@ -0,0 +1,67 @@
+/**
+ * Seeded Random
+ *
+ * A small, fast pseudo-random generator (mulberry32) that produces the
+ * same sequence every time it starts from the same seed. Use it in place
+ * of Math.random() wherever a session needs to be replayed exactly -
+ * recorded games, bug reports, generated sound effects.
+ */
+
+export class SeededRandom {
+  /**
+   * @param {number} seed - Any 32-bit integer (defaults to a random one)
+   */
+  constructor(seed = randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number in the sequence
+   * @returns {number} - Uniform in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Uniform number in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Start the sequence over from the seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+
+  /**
+   * A plain function drawing from this generator, for code that expects
+   * something shaped like Math.random
+   */
+  get random() {
+    return () => this.next();
+  }
+}
+
+/**
+ * A fresh seed for a new session
+ * @returns {number} - Random 32-bit unsigned integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,346 @@
+/**
+ * Audio Visualizer
+ *
+ * Draws what a bus is playing to a canvas: an oscilloscope of the waveform,
+ * a spectrum on a log-frequency axis (octaves equally wide, as we hear
+ * them) and a level meter with peak hold and a clip light.
+ *
+ * It listens through an AnalyserNode, which passes nothing on, so tapping a
+ * bus doesn't change what comes out of the speakers. Tap any node: an
+ * AudioFileManager's or MusicPlayer's masterGain, SoundManager.getOutput(),
+ * AdvancedAudio's output.
+ *
+ * Useful for spotting clipping (the clip light stays lit for the peak hold
+ * time) and for showing what a sound is made of.
+ */
+
+/**
+ * Default colors, each overridable through the `colors` option
+ */
+export const VISUALIZER_COLORS = {
+  background: '#0a0e27',
+  grid: 'rgba(255, 255, 255, 0.1)',
+  waveform: '#22d3ee',
+  spectrum: '#a78bfa',
+  meter: '#22c55e',
+  meterHot: '#eab308',
+  peak: '#f8fafc',
+  clip: '#ef4444'
+};
+
+// Meter scale: the bottom of the meter, and where it turns yellow (dBFS)
+const METER_FLOOR = -60;
+const METER_HOT = -6;
+
+// How fast the held peak falls once the hold time is up, in dB per second
+const PEAK_FALL_RATE = 20;
+
+// Width of the meter strip on the right, in pixels
+const METER_WIDTH = 28;
+
+/**
+ * Convert an amplitude (1.0 = full scale) to decibels
+ */
+function toDecibels(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+/**
+ * Measure a block of samples
+ *
+ * @param {Float32Array} samples - Time-domain samples
+ * @returns {Object} - { rms, peak } in dBFS, and whether any sample clipped
+ */
+export function measureLevels(samples) {
+  let sum = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = Math.abs(samples[i]);
+    sum += magnitude * magnitude;
+    if (magnitude > peak) peak = magnitude;
+  }
+  return {
+    rms: toDecibels(Math.sqrt(sum / (samples.length || 1))),
+    peak: toDecibels(peak),
+    clipped: peak >= 1
+  };
+}
+
+export class AudioVisualizer {
+  /**
+   * @param {BaseAudioContext} audioContext - Context of the buses to tap
+   * @param {HTMLCanvasElement} canvas - Canvas to draw to (its own width and height are used)
+   * @param {Object} options
+   * @param {number} options.fftSize - Analysis window in samples (a power of two)
+   * @param {number} options.smoothing - Spectrum smoothing over time, 0 to 1
+   * @param {number} options.minDecibels - Bottom of the spectrum
+   * @param {number} options.maxDecibels - Top of the spectrum
+   * @param {number} options.minFrequency - Left edge of the spectrum in Hertz
+   * @param {number} options.peakHold - Seconds the peak marker and clip light hold
+   * @param {Object} options.colors - Overrides for VISUALIZER_COLORS
+   */
+  constructor(audioContext, canvas, {
+    fftSize = 2048,
+    smoothing = 0.8,
+    minDecibels = -100,
+    maxDecibels = -10,
+    minFrequency = 20,
+    peakHold = 1.5,
+    colors = {}
+  } = {}) {
+    this.context = audioContext;
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.minFrequency = minFrequency;
+    this.peakHold = peakHold;
+    this.colors = { ...VISUALIZER_COLORS, ...colors };
+
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = fftSize;
+    this.analyser.smoothingTimeConstant = smoothing;
+    this.analyser.minDecibels = minDecibels;
+    this.analyser.maxDecibels = maxDecibels;
+
+    this.waveform = new Float32Array(this.analyser.fftSize);
+    this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+
+    this.sources = new Set();
+    this.columns = null;
+    this.frame = null;
+
+    this.levels = { rms: -Infinity, peak: -Infinity, clipped: false };
+    this.heldPeak = -Infinity;
+    this.heldPeakTime = 0;
+    this.clipTime = -Infinity;
+    this.lastDrawTime = null;
+  }
+
+  /**
+   * Listen to a bus (several can be tapped; they're summed)
+   *
+   * @param {AudioNode} node - Node whose output to visualize
+   * @returns {AudioVisualizer} - This visualizer (for chaining)
+   */
+  tap(node) {
+    if (!this.sources.has(node)) {
+      node.connect(this.analyser);
+      this.sources.add(node);
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening to a bus (or to every bus, without an argument)
+   */
+  untap(node) {
+    const nodes = node ? [node] : [...this.sources];
+    nodes.forEach(source => {
+      if (this.sources.delete(source)) {
+        source.disconnect(this.analyser);
+      }
+    });
+  }
+
+  /**
+   * Draw continuously, once per display frame
+   *
+   * @returns {AudioVisualizer} - This visualizer (for chaining)
+   */
+  start() {
+    if (this.frame === null) {
+      const loop = time => {
+        this.draw(time / 1000);
+        this.frame = requestAnimationFrame(loop);
+      };
+      this.frame = requestAnimationFrame(loop);
+    }
+    return this;
+  }
+
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Stop drawing and disconnect from every bus
+   */
+  dispose() {
+    this.stop();
+    this.untap();
+  }
+
+  /**
+   * Read the analyser and draw one frame
+   *
+   * @param {number} now - Current time in seconds (drives peak hold)
+   */
+  draw(now = performance.now() / 1000) {
+    this.analyser.getFloatTimeDomainData(this.waveform);
+    this.analyser.getFloatFrequencyData(this.spectrum);
+    this.updateLevels(now);
+
+    const { ctx, canvas, colors } = this;
+    const width = canvas.width - METER_WIDTH;
+    const half = Math.floor(canvas.height / 2);
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    this.drawWaveform(0, 0, width, half);
+    this.drawSpectrum(0, half, width, canvas.height - half);
+    this.drawMeter(width, 0, METER_WIDTH, canvas.height, now);
+  }
+
+  /**
+   * Track the peak hold and clip light from the latest block
+   */
+  updateLevels(now) {
+    const elapsed = this.lastDrawTime === null ? 0 : Math.max(0, now - this.lastDrawTime);
+    this.lastDrawTime = now;
+    this.levels = measureLevels(this.waveform);
+
+    if (this.levels.peak >= this.heldPeak) {
+      this.heldPeak = this.levels.peak;
+      this.heldPeakTime = now;
+    } else if (now - this.heldPeakTime > this.peakHold) {
+      this.heldPeak = Math.max(this.levels.peak, this.heldPeak - PEAK_FALL_RATE * elapsed);
+    }
+
+    if (this.levels.clipped) {
+      this.clipTime = now;
+    }
+  }
+
+  /**
+   * Oscilloscope: one window of samples, -1 at the bottom to 1 at the top
+   */
+  drawWaveform(x, y, width, height) {
+    const { ctx, waveform, colors } = this;
+    const middle = y + height / 2;
+
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, middle);
+    ctx.lineTo(x + width, middle);
+    ctx.stroke();
+
+    ctx.strokeStyle = colors.waveform;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < waveform.length; i++) {
+      const px = x + (i / (waveform.length - 1)) * width;
+      // Samples past full scale are drawn at the edge rather than off it
+      const sample = Math.max(-1, Math.min(1, waveform[i]));
+      const py = middle - sample * (height / 2);
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Spectrum on a log-frequency axis, with a grid line every octave from
+   * the A's (55, 110, 220 Hz...)
+   */
+  drawSpectrum(x, y, width, height) {
+    const { ctx, spectrum, colors, analyser } = this;
+    const { minDecibels, maxDecibels } = analyser;
+    const nyquist = this.context.sampleRate / 2;
+    const columns = this.getColumns(width);
+
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let frequency = 55; frequency < nyquist; frequency *= 2) {
+      if (frequency < this.minFrequency) continue;
+      const px = x + this.frequencyToX(frequency, width);
+      ctx.moveTo(px, y);
+      ctx.lineTo(px, y + height);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = colors.spectrum;
+    ctx.beginPath();
+    ctx.moveTo(x, y + height);
+    columns.forEach(([first, last], column) => {
+      // Several bins can share a pixel up high: show the loudest
+      let level = -Infinity;
+      for (let bin = first; bin <= last; bin++) {
+        level = Math.max(level, spectrum[bin]);
+      }
+      const amount = Math.max(0, Math.min(1, (level - minDecibels) / (maxDecibels - minDecibels)));
+      ctx.lineTo(x + column, y + height - amount * height);
+    });
+    ctx.lineTo(x + width, y + height);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * Level meter: RMS bar, held peak line and a clip light at the top
+   */
+  drawMeter(x, y, width, height, now) {
+    const { ctx, colors, levels } = this;
+    const lightHeight = 8;
+    const top = y + lightHeight + 2;
+    const meterHeight = height - lightHeight - 2;
+    const toY = decibels => top + meterHeight * (1 - this.meterPosition(decibels));
+
+    ctx.fillStyle = now - this.clipTime <= this.peakHold ? colors.clip : colors.grid;
+    ctx.fillRect(x + 4, y, width - 8, lightHeight);
+
+    const barTop = toY(levels.rms);
+    const hotY = toY(METER_HOT);
+    ctx.fillStyle = colors.meter;
+    ctx.fillRect(x + 6, Math.max(barTop, hotY), width - 12, top + meterHeight - Math.max(barTop, hotY));
+    if (barTop < hotY) {
+      ctx.fillStyle = colors.meterHot;
+      ctx.fillRect(x + 6, barTop, width - 12, hotY - barTop);
+    }
+
+    if (this.heldPeak > METER_FLOOR) {
+      ctx.fillStyle = colors.peak;
+      ctx.fillRect(x + 4, toY(this.heldPeak) - 1, width - 8, 2);
+    }
+  }
+
+  /**
+   * Height of a level on the meter, 0 (floor) to 1 (full scale)
+   */
+  meterPosition(decibels) {
+    return Math.max(0, Math.min(1, (decibels - METER_FLOOR) / -METER_FLOOR));
+  }
+
+  /**
+   * Horizontal position of a frequency on the spectrum
+   */
+  frequencyToX(frequency, width) {
+    const nyquist = this.context.sampleRate / 2;
+    return width * Math.log(frequency / this.minFrequency) / Math.log(nyquist / this.minFrequency);
+  }
+
+  /**
+   * The range of FFT bins under each pixel column, worked out once per width
+   */
+  getColumns(width) {
+    if (this.columns && this.columns.length === width) {
+      return this.columns;
+    }
+
+    const binWidth = this.context.sampleRate / this.analyser.fftSize;
+    const lastBin = this.spectrum.length - 1;
+    const span = (this.context.sampleRate / 2) / this.minFrequency;
+    const binAt = column => this.minFrequency * Math.pow(span, column / width) / binWidth;
+
+    this.columns = Array.from({ length: width }, (_, column) => {
+      const first = Math.min(lastBin, Math.round(binAt(column)));
+      const last = Math.min(lastBin, Math.max(first, Math.round(binAt(column + 1)) - 1));
+      return [first, last];
+    });
+    return this.columns;
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * Audio Effects
+ *
+ * Reverb, delay, distortion and compression as self-contained units that
+ * can be chained and inserted on any bus (a GainNode everything for one
+ * part of the mix is routed through, e.g. AudioFileManager.masterGain).
+ *
+ * Every effect has:
+ * - input / output: GainNodes to connect to and from
+ * - a wet/dry mix: 0 = untouched signal, 1 = fully processed
+ *
+ * Example:
+ *   const chain = new EffectsChain(ctx, [
+ *     new Distortion(ctx, { curve: 'soft', amount: 0.3 }),
+ *     new FeedbackDelay(ctx, { time: 0.3, feedback: 0.4, mix: 0.3 }),
+ *     new Reverb(ctx, { type: 'hall', mix: 0.25 })
+ *   ]);
+ *   chain.insert(fileManager.masterGain);
+ */
+
+/**
+ * Effect
+ *
+ * Base class: input → dry → output, plus input → (processing) → wet → output.
+ * Subclasses build their processing between `this.input` and `this.wet`.
+ */
+export class Effect {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effect runs in
+   * @param {Object} options
+   * @param {number} options.mix - Wet/dry balance from 0 (dry) to 1 (wet)
+   */
+  constructor(audioContext, { mix = 1 } = {}) {
+    this.context = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.dry = audioContext.createGain();
+    this.wet = audioContext.createGain();
+
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+    this.wet.connect(this.output);
+
+    this.mix = Math.max(0, Math.min(1, mix));
+    this.dry.gain.value = Math.cos(this.mix * Math.PI / 2);
+    this.wet.gain.value = Math.sin(this.mix * Math.PI / 2);
+  }
+
+  /**
+   * Set the wet/dry balance (equal-power, so the level holds steady)
+   *
+   * @param {number} mix - 0 (dry) to 1 (wet)
+   * @param {number} time - Audio time to change at (defaults to now)
+   */
+  setMix(mix, time = this.context.currentTime) {
+    this.mix = Math.max(0, Math.min(1, mix));
+    this.dry.gain.setTargetAtTime(Math.cos(this.mix * Math.PI / 2), time, 0.01);
+    this.wet.gain.setTargetAtTime(Math.sin(this.mix * Math.PI / 2), time, 0.01);
+  }
+
+  /**
+   * Send this effect's output on to a node or another effect
+   *
+   * @param {AudioNode|Effect} destination - Where to send the output
+   * @returns {AudioNode|Effect} - The destination (for chaining)
+   */
+  connect(destination) {
+    this.output.connect(destination.input ?? destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+}
+
+// Character of each reverb type
+const REVERB_TYPES = {
+  // Small space: short, dark tail with quick early reflections
+  room: { decay: 0.8, damping: 0.6, buildUp: 0.005, preDelay: 0.005 },
+  // Big space: long, smooth tail that takes a moment to build
+  hall: { decay: 2.8, damping: 0.4, buildUp: 0.03, preDelay: 0.025 },
+  // Metal plate: dense, bright and immediate
+  plate: { decay: 1.6, damping: 0.1, buildUp: 0, preDelay: 0 }
+};
+
+function reverbType(type) {
+  if (!REVERB_TYPES[type]) {
+    throw new Error(`Unknown reverb type "${type}" (use ${Object.keys(REVERB_TYPES).join(', ')})`);
+  }
+  return REVERB_TYPES[type];
+}
+
+/**
+ * Generate a reverb impulse response
+ *
+ * Decaying stereo noise: each channel is independent (for width), the level
+ * falls away exponentially (about 60 dB over `decay` seconds), and a
+ * lowpass that closes over time makes high frequencies die first.
+ *
+ * @param {BaseAudioContext} audioContext - Context to create the buffer in
+ * @param {Object} options
+ * @param {string} options.type - 'room', 'hall' or 'plate'
+ * @param {number} options.decay - Tail length in seconds
+ * @param {number} options.damping - 0 (bright) to 1 (dark)
+ * @param {Function} options.random - Noise source (defaults to Math.random)
+ * @returns {AudioBuffer} - Two-channel impulse response
+ */
+export function generateImpulseResponse(audioContext, { type = 'room', decay, damping, random = Math.random } = {}) {
+  const character = reverbType(type);
+  decay = decay ?? character.decay;
+  damping = damping ?? character.damping;
+
+  const { sampleRate } = audioContext;
+  const { buildUp } = character;
+  const length = Math.max(1, Math.floor(decay * sampleRate));
+  const buffer = audioContext.createBuffer(2, length, sampleRate);
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    let smoothed = 0;
+
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate;
+      const level = Math.pow(0.001, t / decay) * (buildUp > 0 ? Math.min(1, t / buildUp) : 1);
+
+      // One-pole lowpass whose cutoff falls as the tail goes on
+      const closing = damping * (i / length);
+      smoothed += (1 - closing) * ((random() * 2 - 1) - smoothed);
+
+      data[i] = smoothed * level;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Reverb
+ *
+ * Convolution reverb with a generated impulse response and pre-delay
+ * (the gap before the reflections arrive - bigger rooms have more).
+ */
+export class Reverb extends Effect {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effect runs in
+   * @param {Object} options
+   * @param {string} options.type - 'room', 'hall' or 'plate'
+   * @param {number} options.decay - Tail length in seconds
+   * @param {number} options.damping - 0 (bright) to 1 (dark)
+   * @param {number} options.preDelay - Seconds before the reverb starts
+   * @param {number} options.mix - Wet/dry balance
+   */
+  constructor(audioContext, { type = 'room', decay, damping, preDelay, mix = 0.3 } = {}) {
+    super(audioContext, { mix });
+
+    this.preDelay = audioContext.createDelay(1);
+    this.convolver = audioContext.createConvolver();
+
+    this.input.connect(this.preDelay);
+    this.preDelay.connect(this.convolver);
+    this.convolver.connect(this.wet);
+
+    this.setType(type, { decay, damping, preDelay });
+  }
+
+  /**
+   * Switch the space (regenerates the impulse response)
+   */
+  setType(type, { decay, damping, preDelay } = {}) {
+    const defaults = reverbType(type);
+
+    this.type = type;
+    this.decay = decay ?? defaults.decay;
+    this.damping = damping ?? defaults.damping;
+    this.convolver.buffer = generateImpulseResponse(this.context, {
+      type,
+      decay: this.decay,
+      damping: this.damping
+    });
+    this.preDelay.delayTime.setValueAtTime(preDelay ?? defaults.preDelay, this.context.currentTime);
+  }
+
+  /**
+   * Change the tail length (regenerates the impulse response)
+   */
+  setDecay(decay) {
+    this.setType(this.type, { decay, damping: this.damping, preDelay: this.preDelay.delayTime.value });
+  }
+}
+
+/**
+ * Feedback Delay
+ *
+ * Echoes that repeat and fade: the delayed signal is fed back into the
+ * delay through a filter, so each repeat is darker than the last - like
+ * tape echo.
+ */
+export class FeedbackDelay extends Effect {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effect runs in
+   * @param {Object} options
+   * @param {number} options.time - Seconds between repeats
+   * @param {number} options.feedback - How much of each repeat comes back (0 to 0.95)
+   * @param {number} options.cutoff - Lowpass frequency inside the loop (Hz)
+   * @param {number} options.mix - Wet/dry balance
+   */
+  constructor(audioContext, { time = 0.3, feedback = 0.4, cutoff = 3000, mix = 0.3 } = {}) {
+    super(audioContext, { mix });
+
+    this.delay = audioContext.createDelay(5);
+    this.feedback = audioContext.createGain();
+    this.filter = audioContext.createBiquadFilter();
+    this.filter.type = 'lowpass';
+
+    // input → delay → filter → wet, with filter → feedback → delay looping
+    this.input.connect(this.delay);
+    this.delay.connect(this.filter);
+    this.filter.connect(this.wet);
+    this.filter.connect(this.feedback);
+    this.feedback.connect(this.delay);
+
+    const now = audioContext.currentTime;
+    this.delay.delayTime.setValueAtTime(time, now);
+    this.filter.frequency.setValueAtTime(cutoff, now);
+    this.feedback.gain.value = Math.max(0, Math.min(0.95, feedback));
+  }
+
+  setTime(time, when = this.context.currentTime) {
+    // Glide rather than jump, which would click
+    this.delay.delayTime.setTargetAtTime(time, when, 0.05);
+  }
+
+  setFeedback(feedback, when = this.context.currentTime) {
+    // Above 1 the echoes would grow forever
+    this.feedback.gain.setTargetAtTime(Math.max(0, Math.min(0.95, feedback)), when, 0.01);
+  }
+
+  setCutoff(cutoff, when = this.context.currentTime) {
+    this.filter.frequency.setTargetAtTime(cutoff, when, 0.01);
+  }
+}
+
+export const DISTORTION_CURVES = ['soft', 'hard', 'fuzz', 'foldback'];
+
+/**
+ * Build a WaveShaper transfer curve
+ *
+ * @param {string} type - 'soft' (tanh saturation), 'hard' (clipping),
+ *                        'fuzz' (asymmetric, odd and even harmonics) or
+ *                        'foldback' (wave folding, very bright)
+ * @param {number} amount - 0 (gentle) to 1 (extreme)
+ * @param {number} samples - Curve resolution
+ * @returns {Float32Array} - Curve for WaveShaperNode.curve
+ */
+export function makeDistortionCurve(type = 'soft', amount = 0.5, samples = 4096) {
+  const curve = new Float32Array(samples);
+  const drive = 1 + amount * 20;
+
+  for (let i = 0; i < samples; i++) {
+    const x = (i / (samples - 1)) * 2 - 1;
+
+    switch (type) {
+      case 'soft':
+        curve[i] = Math.tanh(drive * x) / Math.tanh(drive);
+        break;
+      case 'hard':
+        curve[i] = Math.max(-1, Math.min(1, x * (1 + amount * 10)));
+        break;
+      case 'fuzz':
+        // Positive half clips harder than the negative half
+        curve[i] = x >= 0
+          ? 1 - Math.exp(-drive * x)
+          : -(1 - Math.exp(drive * 0.5 * x)) * 0.8;
+        break;
+      case 'foldback':
+        curve[i] = Math.sin(x * (1 + amount * 4) * Math.PI / 2);
+        break;
+      default:
+        throw new Error(`Unknown distortion curve "${type}" (use ${DISTORTION_CURVES.join(', ')})`);
+    }
+  }
+
+  return curve;
+}
+
+/**
+ * Distortion
+ *
+ * WaveShaper distortion followed by a tone filter to tame the fizz.
+ */
+export class Distortion extends Effect {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effect runs in
+   * @param {Object} options
+   * @param {string} options.curve - 'soft', 'hard', 'fuzz' or 'foldback'
+   * @param {number} options.amount - 0 (gentle) to 1 (extreme)
+   * @param {number} options.tone - Lowpass frequency after the shaper (Hz)
+   * @param {string} options.oversample - 'none', '2x' or '4x' (reduces aliasing)
+   * @param {number} options.mix - Wet/dry balance
+   */
+  constructor(audioContext, { curve = 'soft', amount = 0.5, tone = 6000, oversample = '4x', mix = 1 } = {}) {
+    super(audioContext, { mix });
+
+    this.shaper = audioContext.createWaveShaper();
+    this.shaper.oversample = oversample;
+    this.tone = audioContext.createBiquadFilter();
+    this.tone.type = 'lowpass';
+    this.tone.frequency.setValueAtTime(tone, audioContext.currentTime);
+
+    this.input.connect(this.shaper);
+    this.shaper.connect(this.tone);
+    this.tone.connect(this.wet);
+
+    this.setCurve(curve, amount);
+  }
+
+  setCurve(curve, amount = this.amount) {
+    this.shaper.curve = makeDistortionCurve(curve, amount);
+    this.curve = curve;
+    this.amount = amount;
+  }
+
+  setAmount(amount) {
+    this.setCurve(this.curve, amount);
+  }
+}
+
+/**
+ * Compressor
+ *
+ * DynamicsCompressorNode with makeup gain. At a mix below 1 it becomes
+ * parallel ("New York") compression: the squashed signal is blended
+ * under the untouched one.
+ */
+export class Compressor extends Effect {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effect runs in
+   * @param {Object} options
+   * @param {number} options.threshold - dB above which compression starts
+   * @param {number} options.knee - dB range over which it eases in
+   * @param {number} options.ratio - Input dB per output dB above the threshold
+   * @param {number} options.attack - Seconds to react to a rise in level
+   * @param {number} options.release - Seconds to recover after it falls
+   * @param {number} options.makeup - Gain applied after compressing
+   * @param {number} options.mix - Wet/dry balance
+   */
+  constructor(audioContext, {
+    threshold = -24,
+    knee = 30,
+    ratio = 12,
+    attack = 0.003,
+    release = 0.25,
+    makeup = 1,
+    mix = 1
+  } = {}) {
+    super(audioContext, { mix });
+
+    this.compressor = audioContext.createDynamicsCompressor();
+    this.makeup = audioContext.createGain();
+
+    this.input.connect(this.compressor);
+    this.compressor.connect(this.makeup);
+    this.makeup.connect(this.wet);
+
+    this.set({ threshold, knee, ratio, attack, release, makeup });
+  }
+
+  /**
+   * Change any of the compressor settings
+   */
+  set(settings) {
+    const now = this.context.currentTime;
+    ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(name => {
+      if (settings[name] !== undefined) {
+        this.compressor[name].setValueAtTime(settings[name], now);
+      }
+    });
+    if (settings.makeup !== undefined) {
+      this.makeup.gain.setValueAtTime(settings.makeup, now);
+    }
+  }
+
+  /**
+   * Current gain reduction in dB (for metering)
+   */
+  get reduction() {
+    return this.compressor.reduction;
+  }
+}
+
+/**
+ * Effects Chain
+ *
+ * Effects in series, wired input → first → ... → last → output. Effects
+ * can be added and removed while sound is playing.
+ */
+export class EffectsChain {
+  /**
+   * @param {BaseAudioContext} audioContext - Context the effects run in
+   * @param {Array<Effect>} effects - Effects in signal order
+   */
+  constructor(audioContext, effects = []) {
+    this.context = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.effects = [...effects];
+    this.bus = null;
+    this.busDestination = null;
+    this.rewire();
+  }
+
+  rewire() {
+    this.input.disconnect();
+    this.effects.forEach(effect => effect.disconnect());
+
+    let previous = this.input;
+    this.effects.forEach(effect => {
+      previous.connect(effect.input);
+      previous = effect.output;
+    });
+    previous.connect(this.output);
+  }
+
+  /**
+   * Add an effect at the end of the chain (or at `index`)
+   *
+   * @returns {Effect} - The effect that was added
+   */
+  add(effect, index = this.effects.length) {
+    this.effects.splice(index, 0, effect);
+    this.rewire();
+    return effect;
+  }
+
+  /**
+   * Take an effect out of the chain
+   */
+  remove(effect) {
+    const index = this.effects.indexOf(effect);
+    if (index === -1) return;
+
+    this.effects.splice(index, 1);
+    // rewire() only touches effects still in the chain, so cut this one
+    // loose here or its output (and any tail) keeps feeding the chain
+    effect.disconnect();
+    this.rewire();
+  }
+
+  connect(destination) {
+    this.output.connect(destination.input ?? destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /**
+   * Route a bus through this chain
+   *
+   * The bus's link to `destination` is replaced by one through the effects;
+   * anything else the bus feeds (an analyser, another chain) is left alone.
+   *
+   * @param {AudioNode} bus - e.g. AudioFileManager.masterGain
+   * @param {AudioNode} destination - Where the bus went before (defaults to the speakers)
+   */
+  insert(bus, destination = this.context.destination) {
+    this.removeFromBus();
+
+    disconnectFrom(bus, destination);
+    bus.connect(this.input);
+    this.connect(destination);
+
+    this.bus = bus;
+    this.busDestination = destination;
+  }
+
+  /**
+   * Undo insert(): reconnect the bus straight to its destination
+   */
+  removeFromBus() {
+    if (!this.bus) return;
+
+    disconnectFrom(this.bus, this.input);
+    this.bus.connect(this.busDestination);
+    disconnectFrom(this.output, this.busDestination);
+
+    this.bus = null;
+    this.busDestination = null;
+  }
+}
+
+/**
+ * Remove one connection, leaving the node's others in place (a node that
+ * wasn't connected to `target` throws, which is fine to ignore here)
+ */
+function disconnectFrom(node, target) {
+  try {
+    node.disconnect(target);
+  } catch (error) {
+    // Not connected
+  }
+}